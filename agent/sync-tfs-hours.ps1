@@ -5,7 +5,8 @@ sync-tfs-hours.ps1
   Task: System.Id, System.Title, System.AssignedTo, System.ChangedDate, Microsoft.VSTS.Common.Activity, SupplyPro.SPApplication.Task.ActualHours
   Parent: System.Id, System.WorkItemType, System.Title, SupplyPro.SPApplication.Bug.ProjectTypeCode (parent-only)
 - Joins Task -> Parent via Hierarchy-Reverse link
-- POSTs to Render /api/tfs-hours-sync
+- POSTs to Render /api/tfs-hours-sync (or, when nothing changed, a heartbeat
+  to /api/tfs-hours-sync/heartbeat)
 
 Env vars required:
   TFS_HOST        e.g. https://remote.spdev.us
@@ -13,7 +14,7 @@ Env vars required:
   TFS_PROJECT     e.g. SupplyPro.Core
   TFS_PAT         your PAT
   SYNC_URL        e.g. https://your-render-app.onrender.com/api/tfs-hours-sync
-  SYNC_API_KEY    same as Render env
+  SYNC_API_KEY    this agent's key (POST /api/admin/agents), or the shared SYNC_API_KEY
 Optional:
   API_VERSION     default 2.0
   SINCE_DAYS      default 30 (only used if last_sync.json missing)
@@ -159,6 +160,15 @@ if ($wiqlR.workItems) {
 
 if (-not $taskIds -or $taskIds.Count -eq 0) {
   Write-Host "No tasks changed since $SinceIso"
+  # tell the server this source is alive, or /health reports it stale
+  $beatHeaders = @{ "Content-Type" = "application/json" }
+  if ($SyncKey) { $beatHeaders["x-api-key"] = $SyncKey }
+  try {
+    Invoke-RestMethod -Method POST -Uri "$($SyncUrl.TrimEnd('/'))/heartbeat" -Headers $beatHeaders -Body (@{ source = "tfs-hours-sync" } | ConvertTo-Json) | Out-Null
+  }
+  catch {
+    Write-Warning "Heartbeat failed: $($_.Exception.Message)"
+  }
   # still advance watermark to now so you don't re-scan repeatedly
   Write-LastSyncUtc ([DateTime]::UtcNow)
   exit 0
@@ -339,15 +349,31 @@ $payload = @{
   rows        = $taskRows
 }
 
+# Same key on every retry so the server returns the original run instead of
+# ingesting the payload twice.
 $syncHeaders = @{
-  "Content-Type" = "application/json"
+  "Content-Type"    = "application/json"
+  "Idempotency-Key" = [guid]::NewGuid().ToString()
 }
 if ($SyncKey) { $syncHeaders["x-api-key"] = $SyncKey }
 
 Write-Host "Posting rows: $($taskRows.Count) -> $SyncUrl"
 
 $bodyJson = ($payload | ConvertTo-Json -Depth 50)
-$r = Invoke-RestMethod -Method POST -Uri $SyncUrl -Headers $syncHeaders -Body $bodyJson
+$attempt = 0
+while ($true) {
+  $attempt++
+  try {
+    $r = Invoke-RestMethod -Method POST -Uri $SyncUrl -Headers $syncHeaders -Body $bodyJson
+    break
+  }
+  catch {
+    if ($attempt -ge 3) { throw }
+    Write-Warning "POST failed (attempt $attempt): $($_.Exception.Message); retrying"
+    Start-Sleep -Seconds (5 * $attempt)
+  }
+}
+if ($r.replayed) { Write-Host "Server already had this payload (replay)." }
 
 Write-Host "SYNC OK: runId=$($r.runId) runAt=$($r.runAt) count=$($r.count)"
 
@@ -0,0 +1,127 @@
+// Five-field cron expressions ("minute hour day-of-month month weekday") for
+// the report scheduler, evaluated on wall-clock fields; time zones are the
+// caller's business.
+//
+// Fields take *, numbers, ranges (1-5), steps (*/15, 9-17/2) and comma
+// lists; months and weekdays also take names (jan, mon). Weekday 0 and 7 are
+// both Sunday. As in classic cron, when day-of-month and weekday are both
+// restricted a day matching either one qualifies. @hourly, @daily,
+// @weekly, @monthly and @yearly are shorthands.
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  {
+    name: 'month',
+    min: 1,
+    max: 12,
+    names: 'jan feb mar apr may jun jul aug sep oct nov dec'.split(' '),
+  },
+  {
+    name: 'weekday',
+    min: 0,
+    max: 7,
+    names: 'sun mon tue wed thu fri sat'.split(' '),
+  },
+];
+
+const SHORTHANDS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+};
+
+// How far ahead to look; a Feb 29 schedule can be eight years away
+// (2096 -> 2104).
+const MAX_SEARCH_DAYS = 8 * 366;
+
+function parseValue(s, field) {
+  const i = field.names ? field.names.indexOf(s.toLowerCase()) : -1;
+  if (i >= 0) return i + field.min;
+  if (!/^\d+$/.test(s)) return null;
+  const n = Number(s);
+  return n >= field.min && n <= field.max ? n : null;
+}
+
+// Returns the sorted allowed values of one field, or { error }.
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const m = /^(\*|[^/-]+(?:-[^/-]+)?)(?:\/(\d+))?$/.exec(part);
+    if (!m) return { error: `bad ${field.name} "${part}"` };
+    let lo = field.min;
+    let hi = field.max;
+    if (m[1] !== '*') {
+      const [a, b] = m[1].split('-');
+      lo = parseValue(a, field);
+      hi = b === undefined ? (m[2] ? field.max : lo) : parseValue(b, field);
+      if (lo === null || hi === null || lo > hi)
+        return { error: `bad ${field.name} "${part}"` };
+    }
+    const step = m[2] ? Number(m[2]) : 1;
+    if (step < 1) return { error: `bad ${field.name} step "${part}"` };
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return { values: Array.from(values).sort((a, b) => a - b) };
+}
+
+// Parses an expression. Returns { error } or
+// { minutes, hours, days, months, weekdays, anyDay, anyWeekday }.
+function parseCron(expr) {
+  const text = String(expr || '').trim();
+  const parts = (SHORTHANDS[text.toLowerCase()] || text).split(/\s+/);
+  if (parts.length !== 5)
+    return { error: 'cron expression needs 5 fields: m h dom mon dow' };
+
+  const out = [];
+  for (const [i, field] of FIELDS.entries()) {
+    const f = parseField(parts[i], field);
+    if (f.error) return { error: f.error };
+    out.push(f.values);
+  }
+  const [minutes, hours, days, months, weekdays] = out;
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    // 7 is Sunday too
+    weekdays: new Set(weekdays.map((d) => d % 7)),
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*',
+  };
+}
+
+function dayMatches(cron, y, mo, d) {
+  if (!cron.months.includes(mo)) return false;
+  const dom = cron.days.includes(d);
+  const dow = cron.weekdays.has(new Date(Date.UTC(y, mo - 1, d)).getUTCDay());
+  if (cron.anyDay) return dow;
+  if (cron.anyWeekday) return dom;
+  return dom || dow;
+}
+
+// Next wall-clock time strictly after `after` ({ y, mo, d, h, mi }) that the
+// schedule matches, as the same shape; null if none within MAX_SEARCH_DAYS.
+function nextCronWallTime(cron, after) {
+  const start = Date.UTC(after.y, after.mo - 1, after.d);
+  for (let i = 0; i <= MAX_SEARCH_DAYS; i++) {
+    const day = new Date(start + i * 86400000);
+    const y = day.getUTCFullYear();
+    const mo = day.getUTCMonth() + 1;
+    const d = day.getUTCDate();
+    if (!dayMatches(cron, y, mo, d)) continue;
+    for (const h of cron.hours) {
+      if (i === 0 && h < after.h) continue;
+      for (const mi of cron.minutes) {
+        if (i === 0 && h === after.h && mi <= after.mi) continue;
+        return { y, mo, d, h, mi };
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = { parseCron, nextCronWallTime };
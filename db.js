@@ -0,0 +1,16 @@
+const { Pool } = require('pg');
+
+const DATABASE_URL = process.env.DATABASE_URL;
+
+if (!DATABASE_URL) {
+  console.error('ERROR: DATABASE_URL env var not set.');
+  process.exit(1);
+}
+
+const pool = new Pool({
+  connectionString: DATABASE_URL,
+  ssl:
+    process.env.PGSSLMODE === 'disable' ? false : { rejectUnauthorized: false },
+});
+
+module.exports = { pool };
@@ -0,0 +1,103 @@
+// Precomputed ActualHours deltas (public.tfs_hours_deltas).
+//
+// One row per task and effective change time (task_changed_date, else
+// snapshot_at). When several snapshots share a change time the latest one
+// wins; prev_hours is the task's value at its previous change time (0 for
+// the first). People are stored as ingested and resolved through the alias
+// table at query time, so alias edits apply without a rebuild.
+//
+// Ingest refreshes the tasks a run touched; a full rebuild is only needed
+// after editing snapshots by hand:
+//
+//   npm run rebuild-deltas
+const HOURS_DELTAS_LOCK_KEY = 72164032;
+
+const DELTAS_SELECT = `
+  SELECT
+    s.task_id,
+    s.t AS changed_at,
+    s.run_id,
+    s.snapshot_at,
+    s.task_assigned_upn,
+    s.task_assigned_to,
+    s.task_activity,
+    COALESCE(LAG(s.h) OVER w, 0) AS prev_hours,
+    s.h AS actual_hours,
+    s.h - COALESCE(LAG(s.h) OVER w, 0) AS delta_hours,
+    s.parent_id,
+    s.account_code
+  FROM (
+    SELECT DISTINCT ON (x.task_id, COALESCE(x.task_changed_date, x.snapshot_at))
+      x.run_id,
+      x.snapshot_at,
+      COALESCE(x.task_changed_date, x.snapshot_at) AS t,
+      x.task_id,
+      x.task_assigned_upn,
+      x.task_assigned_to,
+      x.task_activity,
+      COALESCE(x.task_actual_hours, 0) AS h,
+      x.parent_id,
+      x.account_code
+    FROM public.tfs_task_hours_snapshots x
+    WHERE $1::int[] IS NULL OR x.task_id = ANY($1)
+    ORDER BY x.task_id, COALESCE(x.task_changed_date, x.snapshot_at), x.snapshot_at DESC, x.run_id DESC
+  ) s
+  WINDOW w AS (PARTITION BY s.task_id ORDER BY s.t, s.snapshot_at)
+`;
+
+// Recomputes the delta rows of the given task ids (every task when null)
+// from their snapshots. Run it inside the transaction that wrote the
+// snapshots; the advisory lock keeps concurrent ingests of the same task
+// from each recomputing without the other's rows. Returns the row count.
+async function refreshHoursDeltas(client, taskIds = null) {
+  await client.query('SELECT pg_advisory_xact_lock($1)', [
+    HOURS_DELTAS_LOCK_KEY,
+  ]);
+  await client.query(
+    `DELETE FROM public.tfs_hours_deltas
+     WHERE $1::int[] IS NULL OR task_id = ANY($1)`,
+    [taskIds]
+  );
+  const r = await client.query(
+    `INSERT INTO public.tfs_hours_deltas
+       (task_id, changed_at, run_id, snapshot_at, task_assigned_upn,
+        task_assigned_to, task_activity, prev_hours, actual_hours,
+        delta_hours, parent_id, account_code)
+     ${DELTAS_SELECT}`,
+    [taskIds]
+  );
+  return r.rowCount;
+}
+
+// Rebuilds the whole table in one transaction.
+async function rebuildHoursDeltas(pool) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const n = await refreshHoursDeltas(client, null);
+    await client.query('COMMIT');
+    return n;
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { refreshHoursDeltas, rebuildHoursDeltas };
+
+if (require.main === module) {
+  const { pool } = require('./db');
+
+  (async () => {
+    const started = Date.now();
+    const n = await rebuildHoursDeltas(pool);
+    console.log(`rebuild-deltas: ${n} rows in ${Date.now() - started} ms`);
+  })()
+    .catch((e) => {
+      console.error('REBUILD ERROR:', e?.message || e);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
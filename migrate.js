@@ -0,0 +1,134 @@
+// Versioned schema migrations.
+//
+// Files in ./migrations are named "<version>_<name>.sql" (e.g. 002_foo.sql)
+// and applied in version order, each in its own transaction. Applied versions
+// are recorded in public.schema_migrations so every migration runs once.
+//
+//   npm run migrate            apply pending migrations
+//   npm run migrate -- status  list applied / pending without changing anything
+const fs = require('fs');
+const path = require('path');
+const { refreshHoursDeltas } = require('./deltas');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary app-wide key so two servers starting at once don't race.
+const MIGRATION_LOCK_KEY = 72164031;
+
+// Data steps that run in a migration's transaction right after its SQL,
+// for backfills computed by code the app already has.
+const AFTER_MIGRATION = {
+  // 013_hours_deltas: fill from the snapshots already stored
+  13: (client) => refreshHoursDeltas(client, null),
+};
+
+function listMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .map((file) => {
+      const m = /^(\d+)_([\w-]+)\.sql$/.exec(file);
+      if (!m) return null;
+      return { version: Number(m[1]), name: m[2], file };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS public.schema_migrations (
+      version    int PRIMARY KEY,
+      name       text NOT NULL,
+      applied_at timestamptz NOT NULL DEFAULT now()
+    )
+  `);
+}
+
+async function appliedVersions(client) {
+  const r = await client.query(
+    'SELECT version FROM public.schema_migrations ORDER BY version'
+  );
+  return new Set(r.rows.map((x) => Number(x.version)));
+}
+
+// Returns { applied: [...], pending: [...] } without changing anything.
+async function migrationStatus(pool) {
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const done = await appliedVersions(client);
+    const all = listMigrations();
+    return {
+      applied: all.filter((m) => done.has(m.version)),
+      pending: all.filter((m) => !done.has(m.version)),
+    };
+  } finally {
+    client.release();
+  }
+}
+
+// Applies every pending migration in order. Returns the ones it applied.
+async function runMigrations(pool, log = console.log) {
+  const client = await pool.connect();
+  const ran = [];
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    const done = await appliedVersions(client);
+
+    for (const m of listMigrations()) {
+      if (done.has(m.version)) continue;
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, m.file), 'utf8');
+
+      log(`migrate: applying ${m.file}`);
+      try {
+        await client.query('BEGIN');
+        await client.query(sql);
+        if (AFTER_MIGRATION[m.version])
+          await AFTER_MIGRATION[m.version](client);
+        await client.query(
+          'INSERT INTO public.schema_migrations(version, name) VALUES ($1, $2)',
+          [m.version, m.name]
+        );
+        await client.query('COMMIT');
+      } catch (e) {
+        await client.query('ROLLBACK');
+        throw new Error(`migration ${m.file} failed: ${e?.message || e}`);
+      }
+      ran.push(m);
+    }
+    return ran;
+  } finally {
+    await client
+      .query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY])
+      .catch(() => {});
+    client.release();
+  }
+}
+
+module.exports = { listMigrations, migrationStatus, runMigrations };
+
+if (require.main === module) {
+  const { pool } = require('./db');
+  const cmd = (process.argv[2] || 'up').toLowerCase();
+
+  (async () => {
+    if (cmd === 'status') {
+      const st = await migrationStatus(pool);
+      for (const m of st.applied) console.log(`applied  ${m.file}`);
+      for (const m of st.pending) console.log(`pending  ${m.file}`);
+      return;
+    }
+    if (cmd !== 'up') throw new Error(`unknown command: ${cmd}`);
+
+    const ran = await runMigrations(pool);
+    console.log(
+      ran.length ? `migrate: applied ${ran.length}` : 'migrate: up to date'
+    );
+  })()
+    .catch((e) => {
+      console.error('MIGRATE ERROR:', e?.message || e);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
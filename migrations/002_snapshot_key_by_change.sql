@@ -0,0 +1,18 @@
+-- One snapshot row per (run, task, change). A single run can carry several
+-- ActualHours updates for the same task, and buildSnapshotInsert() upserts on
+-- (run_id, task_id, task_changed_date), so the old (run_id, task_id) key both
+-- rejected valid rows and left ON CONFLICT without a matching constraint.
+--
+-- task_changed_date stays nullable for rows ingested before it was required,
+-- and NULLs never conflict, so this key doesn't deduplicate those. Readers
+-- do instead: deltas.js takes DISTINCT ON (task_id, COALESCE(task_changed_date,
+-- snapshot_at)), and buildSnapshotInsert() drops repeats within a payload.
+ALTER TABLE public.tfs_task_hours_snapshots
+  DROP CONSTRAINT IF EXISTS tfs_task_hours_snapshots_pkey;
+
+ALTER TABLE public.tfs_task_hours_snapshots
+  ADD CONSTRAINT ux_hours_snap_run_task_changed
+  UNIQUE (run_id, task_id, task_changed_date);
+
+CREATE INDEX IF NOT EXISTS ix_hours_snap_task_changed
+  ON public.tfs_task_hours_snapshots(task_id, task_changed_date);
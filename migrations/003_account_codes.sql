@@ -0,0 +1,13 @@
+-- Catalog of ProjectTypeCode values (tfs_*.account_code) with display names.
+CREATE TABLE IF NOT EXISTS public.tfs_account_codes (
+  account_code int PRIMARY KEY,
+  name         text NOT NULL,
+  client       text,
+  billable     boolean NOT NULL DEFAULT true,
+  active       boolean NOT NULL DEFAULT true,
+  created_at   timestamptz NOT NULL DEFAULT now(),
+  updated_at   timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS ix_hours_snap_account
+  ON public.tfs_task_hours_snapshots(account_code);
@@ -0,0 +1,21 @@
+-- Hour budgets keyed by account code or parent work item, optionally limited
+-- to a date window (report-TZ calendar days, inclusive).
+CREATE TABLE IF NOT EXISTS public.tfs_budgets (
+  budget_id    bigserial PRIMARY KEY,
+  name         text,
+  account_code int,
+  parent_id    int,
+  budget_hours double precision NOT NULL CHECK (budget_hours > 0),
+  starts_on    date,
+  ends_on      date,
+  warn_pct     double precision CHECK (warn_pct > 0 AND warn_pct <= 100),
+  notes        text,
+  created_at   timestamptz NOT NULL DEFAULT now(),
+  updated_at   timestamptz NOT NULL DEFAULT now(),
+
+  CHECK ((account_code IS NULL) <> (parent_id IS NULL)),
+  CHECK (starts_on IS NULL OR ends_on IS NULL OR starts_on <= ends_on)
+);
+
+CREATE INDEX IF NOT EXISTS ix_hours_snap_parent
+  ON public.tfs_task_hours_snapshots(parent_id);
@@ -0,0 +1,27 @@
+-- Named teams and dated memberships. A member belongs to the team for report
+-- days effective_from..effective_to (inclusive; NULL = open-ended).
+CREATE TABLE IF NOT EXISTS public.tfs_teams (
+  team_id    bigserial PRIMARY KEY,
+  name       text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_teams_name
+  ON public.tfs_teams(lower(name));
+
+CREATE TABLE IF NOT EXISTS public.tfs_team_members (
+  member_id      bigserial PRIMARY KEY,
+  team_id        bigint NOT NULL REFERENCES public.tfs_teams(team_id) ON DELETE CASCADE,
+  member_upn     text NOT NULL,
+  effective_from date,
+  effective_to   date,
+  created_at     timestamptz NOT NULL DEFAULT now(),
+
+  CHECK (effective_from IS NULL OR effective_to IS NULL OR effective_from <= effective_to)
+);
+
+CREATE INDEX IF NOT EXISTS ix_team_members_upn
+  ON public.tfs_team_members(lower(member_upn));
+
+CREATE INDEX IF NOT EXISTS ix_team_members_team
+  ON public.tfs_team_members(team_id);
@@ -0,0 +1,36 @@
+-- Canonical people plus the identity strings that refer to them (UPN
+-- variants, DOMAIN\user, display names, legacy "Name <UPN>" strings).
+
+-- Matching key for an identity string: the part inside <...> if present,
+-- trimmed and lower-cased. Mirrors identityKey() in server.js.
+CREATE OR REPLACE FUNCTION public.tfs_identity_key(v text)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT NULLIF(lower(btrim(COALESCE(substring(v FROM '<([^>]+)>'), v))), '')
+$$;
+
+CREATE TABLE IF NOT EXISTS public.tfs_people (
+  person_id     bigserial PRIMARY KEY,
+  canonical_upn text NOT NULL,
+  display_name  text,
+  created_at    timestamptz NOT NULL DEFAULT now(),
+  updated_at    timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_people_upn
+  ON public.tfs_people(lower(canonical_upn));
+
+CREATE TABLE IF NOT EXISTS public.tfs_person_aliases (
+  alias_id   bigserial PRIMARY KEY,
+  person_id  bigint NOT NULL REFERENCES public.tfs_people(person_id) ON DELETE CASCADE,
+  alias      text NOT NULL,
+  alias_key  text GENERATED ALWAYS AS (public.tfs_identity_key(alias)) STORED,
+  created_at timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT ux_person_alias_key UNIQUE (alias_key)
+);
+
+CREATE INDEX IF NOT EXISTS ix_person_aliases_person
+  ON public.tfs_person_aliases(person_id);
@@ -0,0 +1,39 @@
+-- Dashboard users, manager team assignments and login sessions.
+-- Roles: viewer (all data, read-only), manager (only their teams' data),
+-- admin (everything, including /api/admin/*).
+CREATE TABLE IF NOT EXISTS public.tfs_users (
+  user_id       bigserial PRIMARY KEY,
+  username      text NOT NULL,
+  display_name  text,
+  password_hash text NOT NULL,
+  role          text NOT NULL DEFAULT 'viewer'
+                CHECK (role IN ('viewer', 'manager', 'admin')),
+  active        boolean NOT NULL DEFAULT true,
+  last_login_at timestamptz,
+  created_at    timestamptz NOT NULL DEFAULT now(),
+  updated_at    timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_users_username
+  ON public.tfs_users(lower(username));
+
+-- Teams a manager may see.
+CREATE TABLE IF NOT EXISTS public.tfs_user_teams (
+  user_id bigint NOT NULL REFERENCES public.tfs_users(user_id) ON DELETE CASCADE,
+  team_id bigint NOT NULL REFERENCES public.tfs_teams(team_id) ON DELETE CASCADE,
+  PRIMARY KEY (user_id, team_id)
+);
+
+-- Only a SHA-256 of the cookie token is stored.
+CREATE TABLE IF NOT EXISTS public.tfs_sessions (
+  token_hash text PRIMARY KEY,
+  user_id    bigint NOT NULL REFERENCES public.tfs_users(user_id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS ix_sessions_user
+  ON public.tfs_sessions(user_id);
+
+CREATE INDEX IF NOT EXISTS ix_sessions_expires
+  ON public.tfs_sessions(expires_at);
@@ -0,0 +1,33 @@
+-- Sync agents and their ingest API keys. Only a SHA-256 of each key is
+-- stored; key_prefix is the public part used to find the row. A key is
+-- usable from created_at until expires_at (NULL = no expiry) unless revoked.
+CREATE TABLE IF NOT EXISTS public.tfs_agents (
+  agent_id    bigserial PRIMARY KEY,
+  name        text NOT NULL,
+  description text,
+  created_at  timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_agents_name
+  ON public.tfs_agents(lower(name));
+
+CREATE TABLE IF NOT EXISTS public.tfs_agent_keys (
+  key_id       bigserial PRIMARY KEY,
+  agent_id     bigint NOT NULL REFERENCES public.tfs_agents(agent_id) ON DELETE CASCADE,
+  key_prefix   text NOT NULL UNIQUE,
+  key_hash     text NOT NULL,
+  created_at   timestamptz NOT NULL DEFAULT now(),
+  expires_at   timestamptz,
+  revoked_at   timestamptz,
+  last_used_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS ix_agent_keys_agent
+  ON public.tfs_agent_keys(agent_id);
+
+-- Which agent/key sent each run. source becomes the agent name for keyed
+-- runs; client_source keeps what the payload claimed.
+ALTER TABLE public.tfs_hours_runs
+  ADD COLUMN IF NOT EXISTS agent_id bigint REFERENCES public.tfs_agents(agent_id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS key_id bigint REFERENCES public.tfs_agent_keys(key_id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS client_source text;
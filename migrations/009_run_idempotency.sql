@@ -0,0 +1,12 @@
+-- Replay detection for ingest: the client's Idempotency-Key (if sent) and a
+-- fingerprint of the payload. A retried POST returns the original run.
+ALTER TABLE public.tfs_hours_runs
+  ADD COLUMN IF NOT EXISTS idempotency_key text,
+  ADD COLUMN IF NOT EXISTS payload_hash text;
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_hours_runs_idempotency_key
+  ON public.tfs_hours_runs(idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS ix_hours_runs_payload_hash
+  ON public.tfs_hours_runs(payload_hash);
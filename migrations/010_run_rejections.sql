@@ -0,0 +1,14 @@
+-- Ingest rows that failed validation, one row per (row, field) problem,
+-- kept with the run that received them.
+ALTER TABLE public.tfs_hours_runs
+  ADD COLUMN IF NOT EXISTS rejected_count int NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS public.tfs_hours_run_rejections (
+  run_id    bigint NOT NULL REFERENCES public.tfs_hours_runs(run_id) ON DELETE CASCADE,
+  row_index int NOT NULL,
+  field     text NOT NULL,
+  reason    text NOT NULL,
+  row_data  jsonb,
+
+  PRIMARY KEY (run_id, row_index, field)
+);
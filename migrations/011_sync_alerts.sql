@@ -0,0 +1,15 @@
+-- Server-side receive time for runs (run_at is the agent's clock). Older
+-- rows stay NULL and fall back to run_at.
+ALTER TABLE public.tfs_hours_runs
+  ADD COLUMN IF NOT EXISTS received_at timestamptz;
+
+ALTER TABLE public.tfs_hours_runs
+  ALTER COLUMN received_at SET DEFAULT now();
+
+-- Last staleness state per source, so alerts fire once per transition
+-- (and only from one instance).
+CREATE TABLE IF NOT EXISTS public.tfs_sync_alert_state (
+  source     text PRIMARY KEY,
+  stale      boolean NOT NULL,
+  changed_at timestamptz NOT NULL DEFAULT now()
+);
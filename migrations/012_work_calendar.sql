@@ -0,0 +1,30 @@
+-- Working calendar for the missing-time report: which ISO weekdays are
+-- working days (1 = Monday … 7 = Sunday) and the hours expected on each,
+-- company holidays, and per-person leave (inclusive date ranges).
+CREATE TABLE IF NOT EXISTS public.tfs_work_calendar (
+  id             boolean PRIMARY KEY DEFAULT true CHECK (id),
+  workdays       int[] NOT NULL DEFAULT '{1,2,3,4,5}',
+  expected_hours double precision NOT NULL DEFAULT 8 CHECK (expected_hours >= 0),
+  updated_at     timestamptz NOT NULL DEFAULT now()
+);
+
+INSERT INTO public.tfs_work_calendar(id) VALUES (true) ON CONFLICT DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS public.tfs_holidays (
+  holiday_date date PRIMARY KEY,
+  name         text
+);
+
+CREATE TABLE IF NOT EXISTS public.tfs_person_leave (
+  leave_id   bigserial PRIMARY KEY,
+  person_upn text NOT NULL,
+  starts_on  date NOT NULL,
+  ends_on    date NOT NULL,
+  note       text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+
+  CHECK (starts_on <= ends_on)
+);
+
+CREATE INDEX IF NOT EXISTS ix_person_leave_upn
+  ON public.tfs_person_leave(public.tfs_identity_key(person_upn));
@@ -0,0 +1,36 @@
+-- Precomputed ActualHours deltas, maintained at ingest (see deltas.js) so
+-- reports no longer rebuild them from every snapshot on each request. The
+-- migration runner fills the table from existing snapshots right after
+-- this file (AFTER_MIGRATION in migrate.js).
+CREATE TABLE IF NOT EXISTS public.tfs_hours_deltas (
+  task_id           int NOT NULL,
+  changed_at        timestamptz NOT NULL,
+  run_id            bigint NOT NULL REFERENCES public.tfs_hours_runs(run_id),
+  snapshot_at       timestamptz NOT NULL,
+
+  task_assigned_upn text,
+  task_assigned_to  text,
+  task_activity     text,
+
+  prev_hours        double precision NOT NULL,
+  actual_hours      double precision NOT NULL,
+  delta_hours       double precision NOT NULL,
+
+  parent_id         int,
+  account_code      int,
+
+  PRIMARY KEY (task_id, changed_at)
+);
+
+CREATE INDEX IF NOT EXISTS ix_hours_deltas_changed
+  ON public.tfs_hours_deltas(changed_at);
+
+CREATE INDEX IF NOT EXISTS ix_hours_deltas_upn
+  ON public.tfs_hours_deltas(public.tfs_identity_key(task_assigned_upn));
+
+CREATE INDEX IF NOT EXISTS ix_hours_deltas_account
+  ON public.tfs_hours_deltas(account_code);
+
+CREATE INDEX IF NOT EXISTS ix_hours_deltas_parent
+  ON public.tfs_hours_deltas(parent_id);
+
@@ -0,0 +1,16 @@
+-- Named dashboard filter sets. params holds the filter query (name -> string
+-- or string[]); date_range, when set, replaces from/to with a range relative
+-- to the day the view is opened (e.g. 'lastMonth'). Views made with the
+-- admin API key have no owner; a deleted user takes their views along.
+CREATE TABLE IF NOT EXISTS public.tfs_saved_views (
+  view_id       bigserial PRIMARY KEY,
+  name          text NOT NULL,
+  owner_user_id bigint REFERENCES public.tfs_users(user_id) ON DELETE CASCADE,
+  params        jsonb NOT NULL DEFAULT '{}',
+  date_range    text,
+  created_at    timestamptz NOT NULL DEFAULT now(),
+  updated_at    timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_saved_views_owner_name
+  ON public.tfs_saved_views(COALESCE(owner_user_id, 0), lower(name));
@@ -0,0 +1,41 @@
+-- Scheduled report digests: a saved view run on a cron schedule (evaluated
+-- in tz, default REPORT_TZ) and delivered to a directory, a webhook URL or
+-- e-mail addresses via the SMTP relay. next_run_at is null while disabled.
+CREATE TABLE IF NOT EXISTS public.tfs_report_jobs (
+  job_id      bigserial PRIMARY KEY,
+  name        text NOT NULL,
+  view_id     bigint NOT NULL REFERENCES public.tfs_saved_views(view_id),
+  schedule    text NOT NULL,
+  tz          text,
+  delivery    text NOT NULL CHECK (delivery IN ('directory', 'webhook', 'smtp')),
+  target      text NOT NULL,
+  enabled     boolean NOT NULL DEFAULT true,
+  next_run_at timestamptz,
+  created_at  timestamptz NOT NULL DEFAULT now(),
+  updated_at  timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_report_jobs_name
+  ON public.tfs_report_jobs(lower(name));
+
+CREATE INDEX IF NOT EXISTS ix_report_jobs_due
+  ON public.tfs_report_jobs(next_run_at) WHERE enabled;
+
+-- One row per execution; detail is where the report went, or the error.
+CREATE TABLE IF NOT EXISTS public.tfs_report_job_runs (
+  run_id       bigserial PRIMARY KEY,
+  job_id       bigint NOT NULL REFERENCES public.tfs_report_jobs(job_id) ON DELETE CASCADE,
+  trigger      text NOT NULL CHECK (trigger IN ('schedule', 'manual')),
+  started_at   timestamptz NOT NULL DEFAULT now(),
+  finished_at  timestamptz,
+  status       text NOT NULL DEFAULT 'running'
+               CHECK (status IN ('running', 'success', 'failed')),
+  range_from   date,
+  range_to     date,
+  summary_rows integer,
+  entry_rows   integer,
+  detail       text
+);
+
+CREATE INDEX IF NOT EXISTS ix_report_job_runs_job
+  ON public.tfs_report_job_runs(job_id, started_at DESC);
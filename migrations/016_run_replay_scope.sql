@@ -0,0 +1,13 @@
+-- Idempotency-Keys are per agent (NULL agent = the shared SYNC_API_KEY), so
+-- 009's global key index becomes one per agent. Keyless replays only match
+-- recent runs, so the fingerprint index also covers received_at.
+DROP INDEX IF EXISTS public.ux_hours_runs_idempotency_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_hours_runs_agent_idempotency_key
+  ON public.tfs_hours_runs(COALESCE(agent_id, 0), idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
+
+DROP INDEX IF EXISTS public.ix_hours_runs_payload_hash;
+
+CREATE INDEX IF NOT EXISTS ix_hours_runs_payload_hash_received
+  ON public.tfs_hours_runs(payload_hash, received_at);
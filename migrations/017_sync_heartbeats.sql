@@ -0,0 +1,8 @@
+-- Last "still running, nothing changed" call per source. The agent skips the
+-- ingest POST when no task changed, so staleness is measured from the later
+-- of the last run and the last heartbeat.
+CREATE TABLE IF NOT EXISTS public.tfs_sync_heartbeats (
+  source       text PRIMARY KEY,
+  agent_id     bigint REFERENCES public.tfs_agents(agent_id) ON DELETE SET NULL,
+  last_seen_at timestamptz NOT NULL DEFAULT now()
+);
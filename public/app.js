@@ -25,6 +25,112 @@ async function loadConfig() {
   return APP_CFG;
 }
 
+// Signed-in user (null until loadMe); a missing/expired session goes to
+// the login page.
+let ME = null;
+
+async function loadMe() {
+  const r = await fetch('/api/auth/me');
+  const j = await r.json().catch(() => ({}));
+  if (r.status === 401) {
+    window.location.href = '/login.html';
+    return null;
+  }
+  ME = r.ok && j.ok ? j.user : null;
+  if (ME) {
+    qs('whoami').textContent = `${ME.displayName || ME.username} (${ME.role})`;
+    qs('userBar').hidden = false;
+  }
+  return ME;
+}
+
+async function loadAccountCodes() {
+  const sel = qs('accountCode');
+  try {
+    const r = await fetch('/api/account-codes');
+    const j = await r.json().catch(() => ({}));
+    if (!r.ok || !j.ok) return;
+
+    const keep = selectedValues('accountCode');
+    sel.innerHTML =
+      '<option value="none">(no account)</option>' +
+      (j.rows || [])
+        .map(
+          (x) =>
+            `<option value="${escapeHtml(x.accountCode)}">${escapeHtml(
+              fmtAccount(x.accountCode, x.name)
+            )}${x.active ? '' : ' (inactive)'}</option>`
+        )
+        .join('');
+    setSelectedValues('accountCode', keep);
+  } catch {
+    // leave the "(no account)" option; filtering by code still works via the API
+  }
+}
+
+async function loadFilterOptions() {
+  try {
+    const r = await fetch('/api/hours/filter-options');
+    const j = await r.json().catch(() => ({}));
+    if (!r.ok || !j.ok) return;
+
+    for (const [id, values] of [
+      ['activity', j.activities],
+      ['parentType', j.parentTypes],
+    ]) {
+      const keep = selectedValues(id);
+      qs(id).innerHTML = (values || [])
+        .map(
+          (v) => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`
+        )
+        .join('');
+      setSelectedValues(id, keep);
+    }
+  } catch {
+    // pickers stay empty; the API filters still work
+  }
+}
+
+function selectedValues(id) {
+  return Array.from(qs(id).selectedOptions)
+    .map((o) => o.value)
+    .filter(Boolean);
+}
+
+function setSelectedValues(id, values) {
+  const want = new Set(values);
+  for (const o of qs(id).options) o.selected = want.has(o.value);
+}
+
+async function loadTeams() {
+  const sel = qs('team');
+  try {
+    const r = await fetch('/api/teams');
+    const j = await r.json().catch(() => ({}));
+    if (!r.ok || !j.ok) return;
+
+    const keep = sel.value;
+    sel.innerHTML =
+      '<option value="">(any)</option>' +
+      (j.rows || [])
+        .map(
+          (x) =>
+            `<option value="${escapeHtml(x.name)}">${escapeHtml(
+              x.name
+            )}</option>`
+        )
+        .join('');
+    sel.value = keep;
+  } catch {
+    // no teams list; the filter stays at "(any)"
+  }
+}
+
+function fmtAccount(code, name) {
+  if (code === null || code === undefined || code === '') return '';
+  return name ? `${code} · ${name}` : String(code);
+}
+
 function workItemHref(id) {
   const tpl = APP_CFG?.tfsWorkItemUrlTemplate;
   if (!tpl) return null;
@@ -52,8 +158,23 @@ function buildCommonParams() {
   add('from', qs('from').value);
   add('to', qs('to').value);
   add('bucket', qs('bucket').value);
-  add('assignedToUPN', qs('assignedToUPN').value);
-  add('accountCode', qs('accountCode').value);
+  // "is not" mode sends the exclude* variant of a filter
+  const addMode = (k, v) => {
+    const exclude = qs(`${k}Mode`)?.value === 'exclude';
+    add(exclude ? `exclude${k[0].toUpperCase()}${k.slice(1)}` : k, v);
+  };
+
+  addMode('assignedToUPN', qs('assignedToUPN').value);
+  addMode('accountCode', selectedValues('accountCode').join(','));
+  add('tz', qs('tz').value);
+  addMode('team', qs('team').value);
+  add('groupBy', selectedValues('groupBy').join(','));
+  addMode('activity', selectedValues('activity').join(','));
+  addMode('parentType', selectedValues('parentType').join(','));
+  add('parentId', qs('parentId').value.replace(/\s+/g, ''));
+  add('taskId', qs('taskId').value.replace(/\s+/g, ''));
+  add('minDelta', qs('minDelta').value);
+  add('maxDelta', qs('maxDelta').value);
 
   return p;
 }
@@ -64,22 +185,59 @@ function sumHours(rows) {
 
 function uniquePeople(rows) {
   const s = new Set(
-    rows.map((r) => (r.assignedTo || '').trim()).filter(Boolean)
+    rows
+      .map((r) => (r.assignedToUPN || r.assignedTo || '').trim().toLowerCase())
+      .filter(Boolean)
   );
   return s.size;
 }
 
-function tzOffsetMinutes() {
-  const n = Number(APP_CFG?.reportTzOffsetMinutes ?? 0);
-  return Number.isFinite(n) ? n : 0;
+function isValidTz(tz) {
+  if (!tz) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Zone picked in the filter bar, else the server's REPORT_TZ.
+function activeTz() {
+  const v = (qs('tz')?.value || '').trim();
+  if (isValidTz(v)) return v;
+  return isValidTz(APP_CFG?.reportTz) ? APP_CFG.reportTz : 'UTC';
 }
 
 function tzLabel() {
-  return APP_CFG?.reportTzLabel || 'UTC';
+  const tz = activeTz();
+  if (tz === APP_CFG?.reportTz && APP_CFG?.reportTzLabel)
+    return APP_CFG.reportTzLabel;
+  return tz;
 }
 
-function shiftDateByOffset(d, offsetMinutes) {
-  return new Date(d.getTime() + offsetMinutes * 60 * 1000);
+const tzPartFormatters = new Map();
+
+// Wall-clock parts of d in the active zone (DST-aware via Intl).
+function tzParts(d) {
+  const tz = activeTz();
+  let fmt = tzPartFormatters.get(tz);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZoneName: 'short',
+    });
+    tzPartFormatters.set(tz, fmt);
+  }
+  const p = {};
+  for (const part of fmt.formatToParts(d)) p[part.type] = part.value;
+  return p;
 }
 
 function setTzLabels() {
@@ -91,9 +249,8 @@ function setTzLabels() {
 }
 
 function ymdTodayInReportTz() {
-  const off = tzOffsetMinutes();
-  const shiftedNow = shiftDateByOffset(new Date(), off);
-  return shiftedNow.toISOString().slice(0, 10);
+  const p = tzParts(new Date());
+  return `${p.year}-${p.month}-${p.day}`;
 }
 
 function ymdAddDays(ymd, days) {
@@ -107,8 +264,8 @@ function fmtDate(v) {
   const d = new Date(v);
   if (isNaN(d.getTime())) return '—';
 
-  const shifted = shiftDateByOffset(d, tzOffsetMinutes());
-  return shifted.toISOString().slice(0, 10);
+  const p = tzParts(d);
+  return `${p.year}-${p.month}-${p.day}`;
 }
 
 function fmtDateTime(v) {
@@ -116,15 +273,38 @@ function fmtDateTime(v) {
   const d = new Date(v);
   if (isNaN(d.getTime())) return '—';
 
-  const off = tzOffsetMinutes(); // e.g. -480
-  const shifted = shiftDateByOffset(d, off);
-
-  // Use ISO formatting on the shifted date (gives us YYYY-MM-DD HH:mm)
-  const s = shifted.toISOString().replace('T', ' ').slice(0, 16);
-
-  return `${s} ${tzLabel()}`;
+  // timeZoneName gives the abbreviation in effect at that instant (PST/PDT)
+  const p = tzParts(d);
+  return `${p.year}-${p.month}-${p.day} ${p.hour}:${p.minute} ${p.timeZoneName}`;
 }
 
+// One summary table column per groupBy dimension (the API may return
+// several keys per dimension, e.g. account code + name).
+const SUMMARY_DIM_CELLS = {
+  person: {
+    header: 'AssignedTo',
+    cell: (x) =>
+      `<span title="${escapeHtml(x.assignedToUPN || '')}">${escapeHtml(
+        x.assignedTo || x.assignedToUPN || ''
+      )}</span>`,
+  },
+  account: {
+    header: 'Account',
+    cell: (x) => escapeHtml(fmtAccount(x.accountCode, x.accountName)),
+  },
+  activity: { header: 'Activity', cell: (x) => escapeHtml(x.activity || '') },
+  parentType: {
+    header: 'Parent type',
+    cell: (x) => escapeHtml(x.parentType || ''),
+  },
+  parent: {
+    header: 'Parent',
+    cell: (x) =>
+      `${renderIdPill(x.parentId)} ${escapeHtml(x.parentTitle || '')}`,
+  },
+  team: { header: 'Team', cell: (x) => escapeHtml(x.team || '(no team)') },
+};
+
 async function loadSummary() {
   qs(
     'tbodySummary'
@@ -135,6 +315,8 @@ async function loadSummary() {
   const data = await r.json().catch(() => ({}));
 
   if (!r.ok || !data.ok) {
+    lastSummary = null;
+    renderCharts();
     qs(
       'tbodySummary'
     ).innerHTML = `<tr><td colspan="4" class="muted">Error: ${escapeHtml(
@@ -143,20 +325,35 @@ async function loadSummary() {
     return { ok: false };
   }
 
+  lastSummary = data;
+  renderCharts();
+
   const rows = data.rows || [];
   const total = sumHours(rows);
-  const people = uniquePeople(rows);
+  const dims = (data.groupBy || []).filter((d) => SUMMARY_DIM_CELLS[d]);
+  const hasBucket = data.bucket !== 'none';
+  const colCount = dims.length + (hasBucket ? 2 : 1);
+
+  qs('theadSummary').innerHTML = `<tr>${
+    hasBucket ? '<th>Bucket</th>' : ''
+  }${dims
+    .map((d) => `<th>${escapeHtml(SUMMARY_DIM_CELLS[d].header)}</th>`)
+    .join('')}<th>Hours (net)</th></tr>`;
 
   qs('m_totalHours').textContent = Number.isFinite(total)
     ? total.toFixed(2)
     : '—';
-  qs('m_people').textContent = String(people);
+  // rows without a person dimension don't carry people (and a person in two
+  // teams would count twice)
+  qs('m_people').textContent = dims.includes('person')
+    ? String(uniquePeople(rows))
+    : '—';
   qs('m_rows').textContent = String(rows.length);
 
   if (!rows.length) {
     qs(
       'tbodySummary'
-    ).innerHTML = `<tr><td colspan="4" class="muted">No rows.</td></tr>`;
+    ).innerHTML = `<tr><td colspan="${colCount}" class="muted">No rows.</td></tr>`;
     return { ok: true, bucket: data.bucket, from: data.from, to: data.to };
   }
 
@@ -165,9 +362,10 @@ async function loadSummary() {
       const bucket = x.bucket ? fmtDate(x.bucket) : '—';
       return `
         <tr>
-          <td>${escapeHtml(bucket)}</td>
-          <td>${escapeHtml(x.assignedTo || '')}</td>
-          <td>${x.accountCode ?? ''}</td>
+          ${hasBucket ? `<td>${escapeHtml(bucket)}</td>` : ''}
+          ${dims
+            .map((d) => `<td>${SUMMARY_DIM_CELLS[d].cell(x)}</td>`)
+            .join('')}
           <td>${Number(x.hours || 0).toFixed(2)}</td>
         </tr>
       `;
@@ -177,6 +375,552 @@ async function loadSummary() {
   return { ok: true, bucket: data.bucket, from: data.from, to: data.to };
 }
 
+// ---------- Charts (plain SVG from the summary rows) ----------
+const CHART_COLORS = [
+  '#4e79a7',
+  '#f28e2b',
+  '#59a14f',
+  '#e15759',
+  '#76b7b2',
+  '#edc948',
+  '#b07aa1',
+  '#ff9da7',
+  '#9c755f',
+];
+const CHART_OTHER_COLOR = '#bab0ac';
+const CHART_MAX_SERIES = CHART_COLORS.length;
+const CHART_MAX_PEOPLE = 15;
+
+// Per summary dimension: series key, display label, the entries filter a
+// click applies and the [param, value] that excludes the series (for
+// "Other"); both are null when the value can't be expressed as a filter,
+// and such segments get no click target.
+const CHART_DIMS = {
+  person: {
+    key: (x) => x.assignedToUPN || x.assignedTo || '',
+    label: (x) => x.assignedTo || x.assignedToUPN || '(unassigned)',
+    filter: (x) =>
+      x.assignedToUPN ? { assignedToUPN: x.assignedToUPN } : null,
+    exclude: (x) =>
+      x.assignedToUPN ? ['excludeAssignedToUPN', x.assignedToUPN] : null,
+  },
+  account: {
+    key: (x) => String(x.accountCode ?? 'none'),
+    label: (x) => fmtAccount(x.accountCode, x.accountName) || '(no account)',
+    filter: (x) => ({ accountCode: x.accountCode ?? 'none' }),
+    exclude: (x) => ['excludeAccountCode', x.accountCode ?? 'none'],
+  },
+  activity: {
+    key: (x) => x.activity ?? '',
+    label: (x) => x.activity || '(no activity)',
+    filter: (x) => (x.activity ? { activity: x.activity } : null),
+    exclude: (x) => (x.activity ? ['excludeActivity', x.activity] : null),
+  },
+  parentType: {
+    key: (x) => x.parentType ?? '',
+    label: (x) => x.parentType || '(no parent type)',
+    filter: (x) => (x.parentType ? { parentType: x.parentType } : null),
+    exclude: (x) => (x.parentType ? ['excludeParentType', x.parentType] : null),
+  },
+  parent: {
+    key: (x) => String(x.parentId ?? 'none'),
+    label: (x) =>
+      x.parentId === null || x.parentId === undefined
+        ? '(no parent)'
+        : `${x.parentId} ${x.parentTitle || ''}`.trim(),
+    filter: (x) => ({ parentId: x.parentId ?? 'none' }),
+    exclude: (x) => ['excludeParentId', x.parentId ?? 'none'],
+  },
+  team: {
+    key: (x) => String(x.teamId ?? ''),
+    label: (x) => x.team || '(no team)',
+    filter: (x) => (x.teamId ? { team: x.teamId } : null),
+    // the team filter has no exclude variant
+    exclude: () => null,
+  },
+};
+
+// Filter for the "Other" series: every top series excluded, or null when
+// one of them can't be.
+function chartOtherFilter(spec, samples) {
+  const out = {};
+  for (const x of samples) {
+    const e = spec.exclude(x);
+    if (!e) return null;
+    out[e[0]] = [...(out[e[0]] || []), e[1]];
+  }
+  return out;
+}
+
+let lastSummary = null;
+// Click targets of the rendered charts, indexed by data-target.
+let chartTargets = [];
+// Extra params the entries table is narrowed to ({ label, params }).
+let entriesFocus = null;
+
+// Start days (YYYY-MM-DD) of every summary bucket overlapping from..to, so
+// the charts keep a continuous time axis; weeks start on Monday like the
+// server's date_trunc.
+function bucketStarts(bucket, from, to) {
+  let d = from;
+  if (bucket === 'week') {
+    const dow = (new Date(`${from}T00:00:00Z`).getUTCDay() + 6) % 7;
+    d = ymdAddDays(from, -dow);
+  }
+  if (bucket === 'month') d = `${from.slice(0, 8)}01`;
+  const out = [];
+  while (d <= to) {
+    out.push(d);
+    if (bucket === 'month') {
+      const [y, m] = d.split('-').map(Number);
+      d = new Date(Date.UTC(y, m, 1)).toISOString().slice(0, 10);
+    } else {
+      d = ymdAddDays(d, bucket === 'week' ? 7 : 1);
+    }
+  }
+  return out;
+}
+
+// Inclusive report-TZ days covered by the bucket starting on `start`,
+// clipped to the range.
+function bucketDays(start, bucket, from, to) {
+  let end = start;
+  if (bucket === 'week') end = ymdAddDays(start, 6);
+  if (bucket === 'month') {
+    const [y, m] = start.split('-').map(Number);
+    end = new Date(Date.UTC(y, m, 0)).toISOString().slice(0, 10);
+  }
+  return { from: start < from ? from : start, to: end > to ? to : end };
+}
+
+function daysLabel({ from, to }) {
+  return from === to ? from : `${from} → ${to}`;
+}
+
+// Round axis step (1, 2 or 5 × 10^n) giving about `count` ticks.
+function niceStep(span, count = 4) {
+  const raw = span / count || 1;
+  const p = 10 ** Math.floor(Math.log10(raw));
+  const m = raw / p;
+  return (m <= 1 ? 1 : m <= 2 ? 2 : m <= 5 ? 5 : 10) * p;
+}
+
+// Value axis for [min, max] (always including 0).
+function chartScale(min, max) {
+  const lo = Math.min(0, min);
+  const hi = Math.max(0, max);
+  const step = niceStep(hi - lo || 1);
+  const from = Math.floor(lo / step) * step;
+  const to = Math.ceil(hi / step) * step || step;
+  const ticks = [];
+  for (let v = from; v <= to + step / 2; v += step)
+    ticks.push(Number(v.toFixed(6)));
+  return { from, to, ticks };
+}
+
+function chartTarget(filter) {
+  chartTargets.push(filter);
+  return chartTargets.length - 1;
+}
+
+function svgTitle(text) {
+  return `<title>${escapeHtml(text)}</title>`;
+}
+
+// Horizontal gridlines + labels for a vertical value axis.
+function svgYAxis(scale, y, x0, x1) {
+  return scale.ticks
+    .map(
+      (v) => `
+      <line x1="${x0}" x2="${x1}" y1="${y(v)}" y2="${y(v)}" class="${
+        v === 0 ? 'axis' : 'gridline'
+      }" />
+      <text x="${x0 - 4}" y="${y(v) + 4}" text-anchor="end">${escapeHtml(
+        String(v)
+      )}</text>`
+    )
+    .join('');
+}
+
+function svgXLabels(labels, xCenter, yPos) {
+  const every = Math.ceil(labels.length / 12);
+  return labels
+    .map((l, i) =>
+      i % every
+        ? ''
+        : `<text x="${xCenter(
+            i
+          )}" y="${yPos}" text-anchor="middle">${escapeHtml(l)}</text>`
+    )
+    .join('');
+}
+
+// Stacked bars: one bar per bucket, one segment per series (top series by
+// volume, the rest folded into "Other"); negatives stack below zero.
+function renderStackedChart(data, dim) {
+  const spec = CHART_DIMS[dim];
+  const rows = data.rows || [];
+  const buckets = bucketStarts(data.bucket, data.from, data.to);
+
+  const volume = new Map();
+  for (const x of rows) {
+    const k = spec.key(x);
+    volume.set(k, (volume.get(k) || 0) + Math.abs(Number(x.hours || 0)));
+  }
+  const top = Array.from(volume.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, volume.size > CHART_MAX_SERIES ? CHART_MAX_SERIES - 1 : undefined)
+    .map(([k]) => k);
+  const series = new Map(
+    top.map((k, i) => [k, { label: '', color: CHART_COLORS[i], sample: null }])
+  );
+  const other = { label: 'Other', color: CHART_OTHER_COLOR, sample: null };
+
+  // bucket -> series key -> hours
+  const cells = new Map(buckets.map((b) => [b, new Map()]));
+  for (const x of rows) {
+    const k = series.has(spec.key(x)) ? spec.key(x) : null;
+    const s = k === null ? other : series.get(k);
+    if (!s.sample) {
+      s.sample = x;
+      if (k !== null) s.label = spec.label(x);
+    }
+    const m = cells.get(fmtDate(x.bucket));
+    if (m) m.set(k, (m.get(k) || 0) + Number(x.hours || 0));
+  }
+  const order = [...top, ...(other.sample ? [null] : [])];
+  const seriesOf = (k) => (k === null ? other : series.get(k));
+  const otherFilter = chartOtherFilter(
+    spec,
+    top.map((k) => series.get(k).sample)
+  );
+
+  let min = 0;
+  let max = 0;
+  for (const m of cells.values()) {
+    let pos = 0;
+    let neg = 0;
+    for (const h of m.values()) h >= 0 ? (pos += h) : (neg += h);
+    max = Math.max(max, pos);
+    min = Math.min(min, neg);
+  }
+
+  const W = 720;
+  const H = 240;
+  const pad = { l: 44, r: 8, t: 8, b: 24 };
+  const scale = chartScale(min, max);
+  const y = (v) =>
+    pad.t + ((scale.to - v) / (scale.to - scale.from)) * (H - pad.t - pad.b);
+  const band = (W - pad.l - pad.r) / Math.max(buckets.length, 1);
+  const barW = Math.max(2, band * 0.7);
+  const xCenter = (i) => pad.l + band * i + band / 2;
+
+  const bars = buckets
+    .map((b, i) => {
+      const m = cells.get(b);
+      const days = bucketDays(b, data.bucket, data.from, data.to);
+      let pos = 0;
+      let neg = 0;
+      return order
+        .filter((k) => m.get(k))
+        .map((k) => {
+          const h = m.get(k);
+          const s = seriesOf(k);
+          const base = h >= 0 ? pos : neg;
+          if (h >= 0) pos += h;
+          else neg += h;
+          const top = y(Math.max(base, base + h));
+          const height = Math.abs(y(base) - y(base + h));
+          const filter = k === null ? otherFilter : spec.filter(s.sample);
+          const t = filter
+            ? chartTarget({
+                label: `${daysLabel(days)} · ${k === null ? 'Other' : s.label}`,
+                params: { ...days, ...filter },
+              })
+            : null;
+          return `<rect x="${
+            xCenter(i) - barW / 2
+          }" y="${top}" width="${barW}" height="${Math.max(
+            height,
+            0.5
+          )}" fill="${s.color}"${
+            t === null ? '' : ` data-target="${t}"`
+          }>${svgTitle(
+            `${b} · ${k === null ? 'Other' : s.label}: ${h.toFixed(2)} h`
+          )}</rect>`;
+        })
+        .join('');
+    })
+    .join('');
+
+  const legend = order
+    .map((k) => {
+      const s = seriesOf(k);
+      return `<span><i class="swatch" style="background:${
+        s.color
+      }"></i>${escapeHtml(k === null ? 'Other' : s.label)}</span>`;
+    })
+    .join('');
+
+  return `
+    <svg viewBox="0 0 ${W} ${H}" role="img">
+      ${svgYAxis(scale, y, pad.l, W - pad.r)}
+      ${bars}
+      ${svgXLabels(buckets, xCenter, H - 6)}
+    </svg>
+    <div class="legend">${legend}</div>`;
+}
+
+// Running total of net hours per bucket.
+function renderCumulativeChart(data) {
+  const perBucket = new Map();
+  for (const x of data.rows || []) {
+    const b = fmtDate(x.bucket);
+    perBucket.set(b, (perBucket.get(b) || 0) + Number(x.hours || 0));
+  }
+  let run = 0;
+  const points = bucketStarts(data.bucket, data.from, data.to).map((b) => {
+    const hours = perBucket.get(b) || 0;
+    run += hours;
+    return { bucket: b, total: run, hours };
+  });
+
+  const W = 720;
+  const H = 200;
+  const pad = { l: 44, r: 8, t: 8, b: 24 };
+  const scale = chartScale(
+    Math.min(...points.map((p) => p.total)),
+    Math.max(...points.map((p) => p.total))
+  );
+  const y = (v) =>
+    pad.t + ((scale.to - v) / (scale.to - scale.from)) * (H - pad.t - pad.b);
+  const band = (W - pad.l - pad.r) / Math.max(points.length, 1);
+  const xCenter = (i) => pad.l + band * i + band / 2;
+
+  const dots = points
+    .map((p, i) => {
+      const days = bucketDays(p.bucket, data.bucket, data.from, data.to);
+      const t = chartTarget({
+        label: daysLabel(days),
+        params: days,
+      });
+      return `<circle cx="${xCenter(i)}" cy="${y(
+        p.total
+      )}" r="3" data-target="${t}">${svgTitle(
+        `${p.bucket}: ${p.total.toFixed(2)} h total (${
+          p.hours >= 0 ? '+' : ''
+        }${p.hours.toFixed(2)})`
+      )}</circle>`;
+    })
+    .join('');
+
+  return `
+    <svg viewBox="0 0 ${W} ${H}" role="img">
+      ${svgYAxis(scale, y, pad.l, W - pad.r)}
+      <polyline class="line" points="${points
+        .map((p, i) => `${xCenter(i)},${y(p.total)}`)
+        .join(' ')}" />
+      ${dots}
+      ${svgXLabels(
+        points.map((p) => p.bucket),
+        xCenter,
+        H - 6
+      )}
+    </svg>`;
+}
+
+// Net hours per person over the whole range, largest first.
+function renderPeopleChart(data) {
+  const spec = CHART_DIMS.person;
+  const people = new Map();
+  for (const x of data.rows || []) {
+    const k = spec.key(x);
+    const p = people.get(k) || { sample: x, hours: 0 };
+    p.hours += Number(x.hours || 0);
+    people.set(k, p);
+  }
+  const list = Array.from(people.values())
+    .sort((a, b) => b.hours - a.hours)
+    .slice(0, CHART_MAX_PEOPLE);
+
+  const W = 720;
+  const rowH = 22;
+  const pad = { l: 160, r: 56, t: 4, b: 4 };
+  const H = pad.t + pad.b + rowH * list.length;
+  const scale = chartScale(
+    Math.min(...list.map((p) => p.hours)),
+    Math.max(...list.map((p) => p.hours))
+  );
+  const x = (v) =>
+    pad.l + ((v - scale.from) / (scale.to - scale.from)) * (W - pad.l - pad.r);
+
+  const bars = list
+    .map((p, i) => {
+      const label = spec.label(p.sample);
+      const filter = spec.filter(p.sample);
+      const t = filter ? chartTarget({ label, params: filter }) : null;
+      const top = pad.t + rowH * i;
+      const x0 = Math.min(x(0), x(p.hours));
+      return `
+        <text x="${pad.l - 6}" y="${
+        top + rowH / 2 + 4
+      }" text-anchor="end">${escapeHtml(label)}</text>
+        <rect x="${x0}" y="${top + 3}" width="${Math.max(
+        Math.abs(x(p.hours) - x(0)),
+        0.5
+      )}" height="${rowH - 6}" fill="${CHART_COLORS[0]}"${
+        t === null ? '' : ` data-target="${t}"`
+      }>${svgTitle(`${label}: ${p.hours.toFixed(2)} h`)}</rect>
+        <text x="${Math.max(x(0), x(p.hours)) + 4}" y="${
+        top + rowH / 2 + 4
+      }">${p.hours.toFixed(2)}</text>`;
+    })
+    .join('');
+
+  return `
+    <svg viewBox="0 0 ${W} ${H}" role="img">
+      <line x1="${x(0)}" x2="${x(0)}" y1="0" y2="${H}" class="axis" />
+      ${bars}
+    </svg>`;
+}
+
+function renderCharts() {
+  const data = lastSummary;
+  const dims = (data?.groupBy || []).filter((d) => CHART_DIMS[d]);
+
+  const sel = qs('chartStackBy');
+  const prev = sel.value;
+  sel.innerHTML = dims
+    .map(
+      (d) =>
+        `<option value="${escapeHtml(d)}"${
+          d === prev ? ' selected' : ''
+        }>${escapeHtml(SUMMARY_DIM_CELLS[d].header)}</option>`
+    )
+    .join('');
+
+  chartTargets = [];
+  const empty = (msg) => `<div class="muted">${escapeHtml(msg)}</div>`;
+  if (!data?.rows?.length) {
+    const msg = data ? 'No rows.' : 'No data loaded yet.';
+    qs('chartStack').innerHTML = empty(msg);
+    qs('chartCumulative').innerHTML = empty(msg);
+    qs('chartPeople').innerHTML = empty(msg);
+    return;
+  }
+
+  const timed = data.bucket !== 'none';
+  qs('chartStack').innerHTML = !timed
+    ? empty('Pick a bucket to see hours over time.')
+    : !dims.length
+    ? empty('Group the summary by at least one dimension.')
+    : renderStackedChart(data, sel.value || dims[0]);
+  qs('chartCumulative').innerHTML = timed
+    ? renderCumulativeChart(data)
+    : empty('Pick a bucket to see hours over time.');
+  qs('chartPeople').innerHTML = dims.includes('person')
+    ? renderPeopleChart(data)
+    : empty('Add "person" to the summary grouping to see hours per person.');
+}
+
+// Narrows the entries table to a chart selection (or clears it with null).
+async function focusEntries(focus) {
+  entriesFocus = focus;
+  qs('entriesFocus').hidden = !focus;
+  qs('entriesFocusLabel').textContent = focus ? focus.label : '';
+  await loadEntries();
+}
+
+// Signed change with an up/down arrow; `pct` adds a trailing %.
+function fmtChange(v, pct = false) {
+  if (v === null || v === undefined) return '<span class="muted">—</span>';
+  const n = Number(v);
+  const text = `${n > 0 ? '+' : ''}${pct ? n.toFixed(1) : n.toFixed(2)}${
+    pct ? '%' : ''
+  }`;
+  if (!n) return escapeHtml(text);
+  return `<span class="${n > 0 ? 'up' : 'down'}">${
+    n > 0 ? '▲' : '▼'
+  } ${escapeHtml(text)}</span>`;
+}
+
+async function loadCompare() {
+  const on = qs('compareMode').checked;
+  qs('compareTable').hidden = !on;
+  qs('compareInfo').textContent = '';
+  if (!on) return { ok: true };
+
+  const byPerson = qs('compareBy').value === 'person';
+  qs('theadCompare').innerHTML = `<tr><th>${
+    byPerson ? 'AssignedTo' : 'Account'
+  }</th><th class="num">Hours</th><th class="num">Compared</th><th class="num">Change</th><th class="num">Change %</th><th></th></tr>`;
+  qs(
+    'tbodyCompare'
+  ).innerHTML = `<tr><td colspan="6" class="muted">Loading…</td></tr>`;
+
+  const params = buildCommonParams();
+  params.delete('bucket');
+  params.delete('groupBy');
+  params.set('compare', qs('compareWith').value);
+  params.set('by', qs('compareBy').value);
+  const r = await fetch(`/api/hours/compare?${params.toString()}`);
+  const data = await r.json().catch(() => ({}));
+
+  if (!r.ok || !data.ok) {
+    qs(
+      'tbodyCompare'
+    ).innerHTML = `<tr><td colspan="6" class="muted">Error: ${escapeHtml(
+      data.error || `HTTP ${r.status}`
+    )}</td></tr>`;
+    return { ok: false };
+  }
+
+  const t = data.totals;
+  qs(
+    'compareInfo'
+  ).textContent = `${data.compareFrom} → ${data.compareTo} · ${t.newCount} new · ${t.droppedCount} dropped`;
+
+  const rows = data.rows || [];
+  const label = (x) =>
+    byPerson
+      ? `<span title="${escapeHtml(x.assignedToUPN || '')}">${escapeHtml(
+          x.assignedTo || x.assignedToUPN || ''
+        )}</span>`
+      : escapeHtml(fmtAccount(x.accountCode, x.accountName) || '(no account)');
+  const status = (x) =>
+    x.status === 'both'
+      ? ''
+      : `<span class="reason${
+          x.status === 'dropped' ? ' negative' : ''
+        }">${escapeHtml(x.status)}</span>`;
+
+  qs('tbodyCompare').innerHTML =
+    rows
+      .map(
+        (x) => `
+        <tr>
+          <td>${label(x)}</td>
+          <td class="num">${Number(x.hours).toFixed(2)}</td>
+          <td class="num">${Number(x.compareHours).toFixed(2)}</td>
+          <td class="num">${fmtChange(x.change)}</td>
+          <td class="num">${fmtChange(x.changePct, true)}</td>
+          <td>${status(x)}</td>
+        </tr>
+      `
+      )
+      .join('') +
+    `<tr class="total">
+      <td>Total</td>
+      <td class="num">${Number(t.hours).toFixed(2)}</td>
+      <td class="num">${Number(t.compareHours).toFixed(2)}</td>
+      <td class="num">${fmtChange(t.change)}</td>
+      <td class="num">${fmtChange(t.changePct, true)}</td>
+      <td></td>
+    </tr>`;
+
+  return { ok: true };
+}
+
 async function loadEntries() {
   qs(
     'tbodyLatest'
@@ -185,6 +929,10 @@ async function loadEntries() {
   const params = buildCommonParams();
   // entries endpoint doesn't need bucket, but harmless if present
   params.set('limit', qs('latestLimit')?.value || '200');
+  for (const [k, v] of Object.entries(entriesFocus?.params || {})) {
+    params.delete(k);
+    for (const x of [].concat(v)) params.append(k, x);
+  }
 
   const r = await fetch(`/api/hours/entries?${params.toString()}`);
   const data = await r.json().catch(() => ({}));
@@ -224,7 +972,7 @@ async function loadEntries() {
         x.parent_type || ''
       )}</span></td>
         <td>${escapeHtml(x.parent_title || '')}</td>
-        <td>${x.account_code ?? ''}</td>
+        <td>${escapeHtml(fmtAccount(x.account_code, x.account_name))}</td>
       </tr>
     `
     )
@@ -233,11 +981,685 @@ async function loadEntries() {
   return { ok: true, total: data.total };
 }
 
+function anomalyReasonLabel(code, th) {
+  const hh = (h) => `${String(h).padStart(2, '0')}:00`;
+  switch (code) {
+    case 'large':
+      return `|Δ| > ${th.maxDelta} h`;
+    case 'negative':
+      return 'negative Δ';
+    case 'weekend':
+      return 'weekend';
+    case 'odd_hours':
+      return `outside ${hh(th.workStart)}–${hh(th.workEnd)}`;
+    default:
+      return code;
+  }
+}
+
+async function loadAnomalies() {
+  const tbody = qs('tbodyAnomalies');
+  tbody.innerHTML = `<tr><td colspan="8" class="muted">Loading…</td></tr>`;
+  qs('anomalyDays').textContent = '';
+  qs('anomaliesCount').textContent = '';
+
+  const params = buildCommonParams();
+  params.delete('bucket');
+  params.delete('groupBy');
+  const r = await fetch(`/api/hours/anomalies?${params.toString()}`);
+  const data = await r.json().catch(() => ({}));
+
+  if (!r.ok || !data.ok) {
+    tbody.innerHTML = `<tr><td colspan="8" class="muted">Error: ${escapeHtml(
+      data.error || `HTTP ${r.status}`
+    )}</td></tr>`;
+    return { ok: false };
+  }
+
+  const th = data.thresholds || {};
+  const days = data.days || [];
+  const rows = data.entries || [];
+  qs('anomaliesCount').textContent =
+    rows.length || days.length
+      ? `· ${data.total} entries, ${days.length} person-days`
+      : '· none';
+
+  if (days.length) {
+    qs('anomalyDays').innerHTML =
+      `More than ${escapeHtml(th.maxDaily)} h net in a day: ` +
+      days
+        .map(
+          (d) =>
+            `<b>${escapeHtml(
+              d.assignedTo || d.assignedToUPN || '?'
+            )}</b> ${escapeHtml(d.day)} (${Number(d.hours).toFixed(2)} h)`
+        )
+        .join(' · ');
+  }
+
+  if (!rows.length) {
+    tbody.innerHTML = `<tr><td colspan="8" class="muted">No anomalous entries.</td></tr>`;
+    return { ok: true };
+  }
+
+  tbody.innerHTML = rows
+    .map(
+      (x) => `
+      <tr>
+        <td>${escapeHtml(fmtDateTime(x.changed_at))}</td>
+        <td>${renderIdPill(x.task_id)}</td>
+        <td>${escapeHtml(x.task_title || '')}</td>
+        <td>${escapeHtml(x.task_assigned_to || x.task_assigned_upn || '')}</td>
+        <td>${Number(x.delta_hours || 0).toFixed(2)}</td>
+        <td>${x.actual_hours ?? ''}</td>
+        <td>${renderIdPill(x.parent_id)} <span class="muted">${escapeHtml(
+        x.parent_type || ''
+      )}</span></td>
+        <td>${x.reasons
+          .map(
+            (c) =>
+              `<span class="reason ${escapeHtml(c)}">${escapeHtml(
+                anomalyReasonLabel(c, th)
+              )}</span>`
+          )
+          .join('')}</td>
+      </tr>
+    `
+    )
+    .join('');
+
+  return { ok: true };
+}
+
+async function loadBudgets() {
+  const tbody = qs('tbodyBudgets');
+  const params = new URLSearchParams();
+  if (qs('tz').value.trim()) params.set('tz', qs('tz').value.trim());
+
+  const r = await fetch(`/api/budgets/status?${params.toString()}`);
+  const data = await r.json().catch(() => ({}));
+
+  if (!r.ok || !data.ok) {
+    tbody.innerHTML = `<tr><td colspan="8" class="muted">Error: ${escapeHtml(
+      data.error || `HTTP ${r.status}`
+    )}</td></tr>`;
+    return { ok: false };
+  }
+
+  const rows = data.rows || [];
+  const flagged = rows.filter((b) => b.flagged).length;
+  qs('budgetsFlagged').textContent = flagged
+    ? `· ${flagged} flagged`
+    : rows.length
+    ? '· all within threshold'
+    : '';
+
+  if (!rows.length) {
+    tbody.innerHTML = `<tr><td colspan="8" class="muted">No budgets defined.</td></tr>`;
+    return { ok: true };
+  }
+
+  tbody.innerHTML = rows
+    .map((b) => {
+      const scope =
+        b.parentId !== null
+          ? `${renderIdPill(b.parentId)} ${escapeHtml(b.parentTitle || '')}`
+          : `Account ${escapeHtml(fmtAccount(b.accountCode, b.accountName))}`;
+      const pct = Math.max(0, Number(b.pctBurned || 0));
+      const proj = b.projectedExhaustion
+        ? `${escapeHtml(b.projectedExhaustion)}${
+            b.projectedOverrun ? ' <b>(before end)</b>' : ''
+          }`
+        : b.remaining <= 0
+        ? '<b>exhausted</b>'
+        : '—';
+      return `
+        <tr class="${escapeHtml(b.status)}">
+          <td>${escapeHtml(b.name || `#${b.budgetId}`)}</td>
+          <td>${scope}</td>
+          <td>${escapeHtml(b.startsOn || '…')} → ${escapeHtml(
+        b.endsOn || '…'
+      )}</td>
+          <td class="num">${Number(b.budgetHours).toFixed(2)}</td>
+          <td class="num">${Number(b.consumed).toFixed(2)}</td>
+          <td class="num">${Number(b.remaining).toFixed(2)}</td>
+          <td><span class="burn"><span style="width:${Math.min(
+            100,
+            pct
+          ).toFixed(0)}%"></span></span>${pct.toFixed(0)}%</td>
+          <td>${proj}</td>
+        </tr>
+      `;
+    })
+    .join('');
+
+  return { ok: true };
+}
+
+function isWeekendYmd(ymd) {
+  const dow = new Date(`${ymd}T00:00:00.000Z`).getUTCDay();
+  return dow === 0 || dow === 6;
+}
+
+function fmtCell(h) {
+  if (h === null || h === undefined) return '';
+  return Number(h).toFixed(2);
+}
+
+function timesheetParams() {
+  const params = buildCommonParams();
+  params.delete('bucket');
+  const sub = qs('tsSubRows').value;
+  if (sub) params.set('subRows', sub);
+  return params;
+}
+
+async function loadTimesheet() {
+  const thead = qs('theadTimesheet');
+  const tbody = qs('tbodyTimesheet');
+  tbody.innerHTML = `<tr><td class="muted">Loading…</td></tr>`;
+  qs('tsStatus').textContent = '';
+
+  const r = await fetch(`/api/hours/timesheet?${timesheetParams().toString()}`);
+  const data = await r.json().catch(() => ({}));
+
+  if (!r.ok || !data.ok) {
+    thead.innerHTML = '';
+    tbody.innerHTML = `<tr><td class="muted">Error: ${escapeHtml(
+      data.error || `HTTP ${r.status}`
+    )}</td></tr>`;
+    return { ok: false };
+  }
+
+  const days = data.days || [];
+  const hasSub = Boolean(data.subRows);
+  const dayCls = (d) => `num${isWeekendYmd(d) ? ' weekend' : ''}`;
+  const dows = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  thead.innerHTML = `
+    <tr>
+      <th>Person</th>
+      ${hasSub ? `<th>${escapeHtml(data.subRows)}</th>` : ''}
+      ${days
+        .map(
+          (d) => `<th class="${dayCls(d)}">${escapeHtml(d.slice(5))}<br />
+            <span class="muted">${
+              dows[new Date(`${d}T00:00:00.000Z`).getUTCDay()]
+            }</span></th>`
+        )
+        .join('')}
+      <th class="num">Total</th>
+    </tr>
+  `;
+
+  const rows = data.rows || [];
+  qs('tsStatus').textContent = `${rows.length} people · ${
+    days.length
+  } days · ${Number(data.total || 0).toFixed(2)} h (${tzLabel()})`;
+
+  if (!rows.length) {
+    tbody.innerHTML = `<tr><td colspan="${
+      days.length + (hasSub ? 3 : 2)
+    }" class="muted">No rows.</td></tr>`;
+    return { ok: true };
+  }
+
+  const cells = (hours) =>
+    hours
+      .map((h, i) => `<td class="${dayCls(days[i])}">${fmtCell(h)}</td>`)
+      .join('');
+
+  tbody.innerHTML =
+    rows
+      .map((p) => {
+        const main = `
+          <tr>
+            <td title="${escapeHtml(p.assignedToUPN || '')}">${escapeHtml(
+          p.assignedTo || p.assignedToUPN || '—'
+        )}</td>
+            ${hasSub ? '<td></td>' : ''}
+            ${cells(p.hours)}
+            <td class="num"><b>${fmtCell(p.total)}</b></td>
+          </tr>
+        `;
+        const subs = (p.sub || [])
+          .map(
+            (sr) => `
+          <tr class="sub">
+            <td></td>
+            <td>${escapeHtml(sr.key ?? '—')}</td>
+            ${cells(sr.hours)}
+            <td class="num">${fmtCell(sr.total)}</td>
+          </tr>
+        `
+          )
+          .join('');
+        return main + subs;
+      })
+      .join('') +
+    `
+      <tr class="total">
+        <td>Total</td>
+        ${hasSub ? '<td></td>' : ''}
+        ${cells(data.dayTotals || [])}
+        <td class="num">${fmtCell(data.total)}</td>
+      </tr>
+    `;
+
+  return { ok: true };
+}
+
+function missingParams() {
+  const params = buildCommonParams();
+  params.delete('bucket');
+  const expected = qs('missingExpected').value;
+  params.set('expected', expected);
+  if (expected === 'active' && qs('missingWeeks').value)
+    params.set('activeWeeks', qs('missingWeeks').value);
+  if (qs('missingMinHours').value)
+    params.set('minHours', qs('missingMinHours').value);
+  return params;
+}
+
+async function loadMissing() {
+  const tbody = qs('tbodyMissing');
+  tbody.innerHTML = `<tr><td colspan="4" class="muted">Loading…</td></tr>`;
+  qs('missingStatus').textContent = '';
+
+  const r = await fetch(`/api/hours/missing?${missingParams().toString()}`);
+  const data = await r.json().catch(() => ({}));
+
+  if (!r.ok || !data.ok) {
+    tbody.innerHTML = `<tr><td colspan="4" class="muted">Error: ${escapeHtml(
+      data.error || `HTTP ${r.status}`
+    )}</td></tr>`;
+    return { ok: false };
+  }
+
+  const holidays = (data.holidays || [])
+    .map((h) => `${h.date}${h.name ? ` ${h.name}` : ''}`)
+    .join(', ');
+  qs('missingStatus').textContent = `${data.rows.length} gaps · ${
+    data.byPerson.length
+  } of ${data.people} people · ${data.workingDays.length} working days · min ${
+    data.minHours
+  } h/day${holidays ? ` · holidays: ${holidays}` : ''} (${tzLabel()})`;
+
+  if (!data.rows.length) {
+    tbody.innerHTML = `<tr><td colspan="4" class="muted">Nobody is missing time.</td></tr>`;
+    return { ok: true };
+  }
+
+  const shortByUpn = new Map(data.byPerson.map((p) => [p.assignedToUPN, p]));
+  let prev = null;
+  tbody.innerHTML = data.rows
+    .map((x) => {
+      const first = x.assignedToUPN !== prev;
+      prev = x.assignedToUPN;
+      const p = shortByUpn.get(x.assignedToUPN);
+      const person = first
+        ? `<span title="${escapeHtml(x.assignedToUPN || '')}">${escapeHtml(
+            x.assignedTo || x.assignedToUPN || '—'
+          )}</span>
+          <div class="muted">${p.missingDays} days · ${fmtCell(
+            p.shortBy
+          )} h short</div>`
+        : '';
+      return `
+        <tr>
+          <td>${person}</td>
+          <td>${escapeHtml(x.day)}</td>
+          <td class="num">${fmtCell(x.hours)}</td>
+          <td class="num">${fmtCell(x.shortBy)}</td>
+        </tr>
+      `;
+    })
+    .join('');
+
+  return { ok: true };
+}
+
+function fmtSplit(items, labelOf) {
+  return items
+    .map(
+      (x) =>
+        `${escapeHtml(labelOf(x) || '—')} <span class="muted">${Number(
+          x.hours || 0
+        ).toFixed(2)}</span>`
+    )
+    .join('<br />');
+}
+
+async function loadParents() {
+  const tbody = qs('tbodyParents');
+  tbody.innerHTML = `<tr><td colspan="9" class="muted">Loading…</td></tr>`;
+  qs('parentsStatus').textContent = '';
+
+  const params = buildCommonParams();
+  params.delete('bucket');
+  const r = await fetch(`/api/hours/by-parent?${params.toString()}`);
+  const data = await r.json().catch(() => ({}));
+
+  if (!r.ok || !data.ok) {
+    tbody.innerHTML = `<tr><td colspan="9" class="muted">Error: ${escapeHtml(
+      data.error || `HTTP ${r.status}`
+    )}</td></tr>`;
+    return { ok: false };
+  }
+
+  const rows = data.rows || [];
+  qs('parentsStatus').textContent = `${rows.length} parents · ${Number(
+    data.total || 0
+  ).toFixed(2)} h`;
+
+  if (!rows.length) {
+    tbody.innerHTML = `<tr><td colspan="9" class="muted">No rows.</td></tr>`;
+    return { ok: true };
+  }
+
+  tbody.innerHTML = rows
+    .map(
+      (p) => `
+      <tr class="expandable" data-parent="${escapeHtml(p.parentId ?? 'none')}">
+        <td class="caret">▸</td>
+        <td>${p.parentId === null ? '—' : renderIdPill(p.parentId)}</td>
+        <td>${escapeHtml(p.parentType || '')}</td>
+        <td>${escapeHtml(
+          p.parentTitle || (p.parentId === null ? '(no parent)' : '')
+        )}</td>
+        <td>${escapeHtml(fmtAccount(p.accountCode, p.accountName))}</td>
+        <td class="num"><b>${Number(p.hours || 0).toFixed(2)}</b></td>
+        <td class="num">${p.taskCount}</td>
+        <td>${fmtSplit(
+          p.byPerson || [],
+          (x) => x.assignedTo || x.assignedToUPN
+        )}</td>
+        <td>${fmtSplit(p.byActivity || [], (x) => x.activity)}</td>
+      </tr>
+    `
+    )
+    .join('');
+
+  return { ok: true };
+}
+
+function renderParentTasks(tasks) {
+  if (!tasks.length) return '<div class="muted">No tasks.</div>';
+  return tasks
+    .map(
+      (t) => `
+      <div style="margin-top:8px;">
+        ${renderIdPill(t.taskId)} <b>${escapeHtml(t.taskTitle || '')}</b>
+        <span class="muted">${escapeHtml(t.activity || '')}</span>
+        · <b>${Number(t.hours || 0).toFixed(2)}</b> h
+      </div>
+      <table>
+        <thead>
+          <tr>
+            <th>Changed</th>
+            <th>AssignedTo</th>
+            <th class="num">Prev</th>
+            <th class="num">ActualHours</th>
+            <th class="num">Hours Δ</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${t.entries
+            .map(
+              (e) => `
+            <tr>
+              <td>${escapeHtml(fmtDateTime(e.changed_at))}</td>
+              <td>${escapeHtml(e.task_assigned_to || '')}</td>
+              <td class="num">${e.prev_hours ?? ''}</td>
+              <td class="num">${e.actual_hours ?? ''}</td>
+              <td class="num">${Number(e.delta_hours || 0).toFixed(2)}</td>
+            </tr>
+          `
+            )
+            .join('')}
+        </tbody>
+      </table>
+    `
+    )
+    .join('');
+}
+
+async function toggleParentRow(tr) {
+  const next = tr.nextElementSibling;
+  if (next?.classList.contains('drill')) {
+    next.remove();
+    tr.querySelector('.caret').textContent = '▸';
+    return;
+  }
+  tr.querySelector('.caret').textContent = '▾';
+
+  const drill = document.createElement('tr');
+  drill.className = 'drill';
+  drill.innerHTML = `<td colspan="9" class="muted">Loading…</td>`;
+  tr.after(drill);
+
+  const params = buildCommonParams();
+  params.delete('bucket');
+  const id = encodeURIComponent(tr.dataset.parent);
+  const r = await fetch(`/api/hours/by-parent/${id}?${params.toString()}`);
+  const data = await r.json().catch(() => ({}));
+
+  drill.innerHTML =
+    !r.ok || !data.ok
+      ? `<td colspan="9" class="muted">Error: ${escapeHtml(
+          data.error || `HTTP ${r.status}`
+        )}</td>`
+      : `<td colspan="9">${renderParentTasks(data.tasks || [])}</td>`;
+}
+
+// ---------- Runs ----------
+const RUNS_PAGE_SIZE = 50;
+let runsOffset = 0;
+
+function fmtAgo(iso) {
+  const mins = Math.round((Date.now() - new Date(iso).getTime()) / 60000);
+  if (!Number.isFinite(mins)) return '';
+  if (mins < 60) return `${mins} min ago`;
+  if (mins < 48 * 60) return `${Math.round(mins / 60)} h ago`;
+  return `${Math.round(mins / 1440)} d ago`;
+}
+
+async function loadRuns() {
+  const tbody = qs('tbodyRuns');
+  tbody.innerHTML = `<tr><td colspan="7" class="muted">Loading…</td></tr>`;
+
+  const params = new URLSearchParams({
+    limit: String(RUNS_PAGE_SIZE),
+    offset: String(runsOffset),
+  });
+  const source = qs('runsSource').value;
+  if (source) params.set('source', source);
+
+  const r = await fetch(`/api/runs?${params.toString()}`);
+  const data = await r.json().catch(() => ({}));
+
+  if (!r.ok || !data.ok) {
+    tbody.innerHTML = `<tr><td colspan="7" class="muted">Error: ${escapeHtml(
+      data.error || `HTTP ${r.status}`
+    )}</td></tr>`;
+    return { ok: false };
+  }
+
+  // refresh the source list, keeping the current choice
+  const sel = qs('runsSource');
+  sel.innerHTML =
+    `<option value="">(all)</option>` +
+    (data.sources || [])
+      .map(
+        (s) =>
+          `<option value="${escapeHtml(s.source)}">${escapeHtml(
+            s.source
+          )}</option>`
+      )
+      .join('');
+  sel.value = source;
+
+  const last = (data.sources || [])
+    .map(
+      (s) =>
+        `${escapeHtml(s.source)}: <b>${escapeHtml(fmtAgo(s.lastRunAt))}</b>`
+    )
+    .join(' · ');
+  const rows = data.rows || [];
+  const shownTo = runsOffset + rows.length;
+  qs('runsStatus').innerHTML = `Last data — ${last || 'none yet'}<br/>${
+    rows.length ? `${runsOffset + 1}–${shownTo}` : '0'
+  } of ${data.total} runs`;
+  qs('btnRunsNewer').disabled = runsOffset === 0;
+  qs('btnRunsOlder').disabled = shownTo >= data.total;
+
+  if (!rows.length) {
+    tbody.innerHTML = `<tr><td colspan="7" class="muted">No runs.</td></tr>`;
+    return { ok: true };
+  }
+
+  tbody.innerHTML = rows
+    .map(
+      (x) => `
+      <tr class="expandable" data-run="${escapeHtml(x.runId)}">
+        <td class="caret">▸</td>
+        <td>#${escapeHtml(x.runId)}</td>
+        <td>${escapeHtml(fmtDateTime(x.runAt))}</td>
+        <td>${escapeHtml(x.source || '')}${
+        x.clientSource && x.clientSource !== x.source
+          ? ` <span class="muted">(${escapeHtml(x.clientSource)})</span>`
+          : ''
+      }</td>
+        <td class="num">${x.count}</td>
+        <td class="num">${x.rejectedRows || ''}</td>
+        <td class="num">${x.snapshotRows}</td>
+      </tr>
+    `
+    )
+    .join('');
+
+  return { ok: true };
+}
+
+function renderRunDetail(d) {
+  const prev = d.previousRun
+    ? `previous run #${escapeHtml(d.previousRun.runId)} at ${escapeHtml(
+        fmtDateTime(d.previousRun.runAt)
+      )}`
+    : 'first run';
+  const rejected = d.rejected?.length
+    ? `<div class="muted" style="margin-top:6px;">Rejected: ${d.rejected
+        .map(
+          (x) =>
+            `row ${x.index} ${escapeHtml(x.field)} (${escapeHtml(x.reason)})`
+        )
+        .join('; ')}</div>`
+    : '';
+
+  const tasks = d.tasks || [];
+  return `
+    <div>
+      <b>${d.tasksTouched}</b> tasks touched · net
+      <b>${Number(d.netDeltaHours || 0).toFixed(2)}</b> h vs ${prev}
+    </div>
+    ${rejected}
+    ${
+      tasks.length
+        ? `<table>
+      <thead>
+        <tr>
+          <th>Task</th>
+          <th>Title</th>
+          <th>AssignedTo</th>
+          <th>Changed</th>
+          <th class="num">Rows</th>
+          <th class="num">Before</th>
+          <th class="num">After</th>
+          <th class="num">Hours Δ</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${tasks
+          .map(
+            (t) => `
+          <tr>
+            <td>${renderIdPill(t.taskId)}${
+              t.isNew ? ' <span class="pill">new</span>' : ''
+            }</td>
+            <td>${escapeHtml(t.taskTitle || '')}</td>
+            <td>${escapeHtml(t.assignedTo || t.assignedToUPN || '')}</td>
+            <td>${escapeHtml(fmtDateTime(t.changedAt))}</td>
+            <td class="num">${t.rows}</td>
+            <td class="num">${t.prevHours ?? ''}</td>
+            <td class="num">${t.actualHours ?? ''}</td>
+            <td class="num">${Number(t.deltaHours || 0).toFixed(2)}</td>
+          </tr>
+        `
+          )
+          .join('')}
+      </tbody>
+    </table>`
+        : ''
+    }
+  `;
+}
+
+async function toggleRunRow(tr) {
+  const next = tr.nextElementSibling;
+  if (next?.classList.contains('drill')) {
+    next.remove();
+    tr.querySelector('.caret').textContent = '▸';
+    return;
+  }
+  tr.querySelector('.caret').textContent = '▾';
+
+  const drill = document.createElement('tr');
+  drill.className = 'drill';
+  drill.innerHTML = `<td colspan="7" class="muted">Loading…</td>`;
+  tr.after(drill);
+
+  const params = new URLSearchParams();
+  const tz = activeTz();
+  if (tz) params.set('tz', tz);
+  const id = encodeURIComponent(tr.dataset.run);
+  const r = await fetch(`/api/runs/${id}?${params.toString()}`);
+  const data = await r.json().catch(() => ({}));
+
+  drill.innerHTML =
+    !r.ok || !data.ok
+      ? `<td colspan="7" class="muted">Error: ${escapeHtml(
+          data.error || `HTTP ${r.status}`
+        )}</td>`
+      : `<td colspan="7">${renderRunDetail(data)}</td>`;
+}
+
+function activeTab() {
+  return document.querySelector('.tab.active')?.dataset.tab || 'dashboard';
+}
+
+function showTab(name) {
+  document.querySelectorAll('.tab').forEach((b) => {
+    b.classList.toggle('active', b.dataset.tab === name);
+  });
+  document.querySelectorAll('.tabPanel').forEach((el) => {
+    el.hidden = el.id !== `tab_${name}`;
+  });
+}
+
 async function loadAll() {
   qs('status').textContent = 'Loading…';
+  entriesFocus = null;
+  qs('entriesFocus').hidden = true;
 
   const s = await loadSummary();
+  await loadCompare();
   await loadEntries();
+  await loadAnomalies();
+  await loadBudgets();
+  if (activeTab() === 'timesheet') await loadTimesheet();
+  if (activeTab() === 'missing') await loadMissing();
+  if (activeTab() === 'parents') await loadParents();
+  if (activeTab() === 'runs') await loadRuns();
 
   if (s?.ok) {
     qs('status').innerHTML = `Bucket <b>${escapeHtml(
@@ -252,6 +1674,7 @@ qs('btnLoad').addEventListener('click', async () => {
   await loadConfig();
   setTzLabels(); // optional but recommended (keeps UI labels correct if config changes)
   await loadAll(); // IMPORTANT: await so UI status + tables update in order
+  syncUrl();
 });
 
 qs('btnExport').addEventListener('click', async () => {
@@ -261,16 +1684,284 @@ qs('btnExport').addEventListener('click', async () => {
   window.location.href = `/api/hours/export.csv?${params.toString()}`;
 });
 
-// boot defaults: last 30 days (report TZ)
+qs('btnExportXlsx').addEventListener('click', async () => {
+  await loadConfig();
+  setTzLabels();
+  const params = buildCommonParams();
+  window.location.href = `/api/hours/export.xlsx?${params.toString()}`;
+});
+
+function exportEntries(format) {
+  const params = buildCommonParams();
+  params.delete('bucket');
+  params.delete('groupBy');
+  params.set('format', format);
+  window.location.href = `/api/hours/entries/export?${params.toString()}`;
+}
+
+qs('chartStackBy').addEventListener('change', () => renderCharts());
+qs('charts').addEventListener('click', (ev) => {
+  const el = ev.target.closest('[data-target]');
+  if (!el) return;
+  focusEntries(chartTargets[Number(el.dataset.target)]);
+  qs('entriesTitle').scrollIntoView?.({ behavior: 'smooth' });
+});
+qs('btnEntriesFocusClear').addEventListener('click', () => focusEntries(null));
+
+['compareMode', 'compareWith', 'compareBy'].forEach((id) =>
+  qs(id).addEventListener('change', () => loadCompare())
+);
+
+qs('btnEntriesCsv').addEventListener('click', () => exportEntries('csv'));
+qs('btnEntriesNdjson').addEventListener('click', () => exportEntries('ndjson'));
+
+qs('btnTsExport').addEventListener('click', async () => {
+  await loadConfig();
+  window.location.href = `/api/hours/timesheet.csv?${timesheetParams().toString()}`;
+});
+
+qs('tsSubRows').addEventListener('change', () => loadTimesheet());
+
+qs('btnMissingExport').addEventListener('click', async () => {
+  await loadConfig();
+  window.location.href = `/api/hours/missing.csv?${missingParams().toString()}`;
+});
+
+qs('missingExpected').addEventListener('change', () => {
+  qs('missingWeeks').disabled = qs('missingExpected').value !== 'active';
+  loadMissing();
+});
+qs('missingWeeks').addEventListener('change', () => loadMissing());
+qs('missingMinHours').addEventListener('change', () => loadMissing());
+
+document.querySelectorAll('.tab').forEach((b) => {
+  b.addEventListener('click', async () => {
+    showTab(b.dataset.tab);
+    if (b.dataset.tab === 'timesheet') await loadTimesheet();
+    if (b.dataset.tab === 'missing') await loadMissing();
+    if (b.dataset.tab === 'parents') await loadParents();
+    if (b.dataset.tab === 'runs') await loadRuns();
+  });
+});
+
+qs('runsSource').addEventListener('change', () => {
+  runsOffset = 0;
+  loadRuns();
+});
+
+qs('btnRunsNewer').addEventListener('click', () => {
+  runsOffset = Math.max(0, runsOffset - RUNS_PAGE_SIZE);
+  loadRuns();
+});
+
+qs('btnRunsOlder').addEventListener('click', () => {
+  runsOffset += RUNS_PAGE_SIZE;
+  loadRuns();
+});
+
+qs('tbodyRuns').addEventListener('click', (ev) => {
+  if (ev.target.closest('a')) return;
+  const tr = ev.target.closest('tr.expandable');
+  if (tr) toggleRunRow(tr);
+});
+
+qs('tbodyParents').addEventListener('click', (ev) => {
+  if (ev.target.closest('a')) return; // work item links open normally
+  const tr = ev.target.closest('tr.expandable');
+  if (tr) toggleParentRow(tr);
+});
+
+// ---------- URL state & saved views ----------
+// Filter bar state as query params: what buildCommonParams sends plus the
+// entries limit. This is what the address bar and saved views hold.
+function filterState() {
+  const p = buildCommonParams();
+  const limit = qs('latestLimit').value;
+  if (limit !== '200') p.set('limit', limit);
+  return p;
+}
+
+// Selects values in a picker, adding options the lists don't have (yet),
+// e.g. an inactive account code from a shared link.
+function setPickerValues(id, values) {
+  const sel = qs(id);
+  for (const v of values) {
+    if (!Array.from(sel.options).some((o) => o.value === v))
+      sel.add(new Option(v, v));
+  }
+  if (sel.multiple) setSelectedValues(id, values);
+  else sel.value = values[0] || '';
+}
+
+// Puts a filterState()-shaped query back into the filter bar; anything
+// missing goes back to its default (from/to stay as they are).
+function applyFilterState(p) {
+  const list = (k) =>
+    p
+      .getAll(k)
+      .flatMap((v) => v.split(','))
+      .map((v) => v.trim())
+      .filter(Boolean);
+
+  if (p.get('from')) qs('from').value = p.get('from');
+  if (p.get('to')) qs('to').value = p.get('to');
+  qs('bucket').value = p.get('bucket') || 'day';
+  qs('tz').value = p.get('tz') || '';
+  for (const k of [
+    'assignedToUPN',
+    'accountCode',
+    'team',
+    'activity',
+    'parentType',
+  ]) {
+    const ex = `exclude${k[0].toUpperCase()}${k.slice(1)}`;
+    const exclude = !list(k).length && list(ex).length > 0;
+    qs(`${k}Mode`).value = exclude ? 'exclude' : '';
+    const values = list(exclude ? ex : k);
+    if (qs(k).tagName === 'SELECT') setPickerValues(k, values);
+    else qs(k).value = values.join(',');
+  }
+  qs('parentId').value = list('parentId').join(',');
+  qs('taskId').value = list('taskId').join(',');
+  qs('minDelta').value = p.get('minDelta') || '';
+  qs('maxDelta').value = p.get('maxDelta') || '';
+  const groupBy = list('groupBy');
+  setSelectedValues(
+    'groupBy',
+    groupBy.length ? groupBy : ['person', 'account']
+  );
+  qs('latestLimit').value = p.get('limit') || '200';
+  setTzLabels();
+}
+
+// Records the current filters in the address bar (a new history entry
+// unless `replace`), so reloads and shared links keep them.
+function syncUrl(replace = false) {
+  const q = filterState().toString();
+  if (`?${q}` === window.location.search) return;
+  const url = q ? `?${q}` : window.location.pathname;
+  if (replace) window.history.replaceState(null, '', url);
+  else window.history.pushState(null, '', url);
+}
+
+window.addEventListener('popstate', async () => {
+  applyFilterState(new URLSearchParams(window.location.search));
+  qs('savedView').value = '';
+  await loadAll();
+});
+
+let savedViews = [];
+
+function viewToParams(view) {
+  const p = new URLSearchParams();
+  for (const [k, v] of Object.entries(view.query || {}))
+    p.set(k, Array.isArray(v) ? v.join(',') : v);
+  return p;
+}
+
+// Refills the dropdown, selecting `keep` (a view id) when it still exists.
+async function loadViews(keep = qs('savedView').value) {
+  const sel = qs('savedView');
+  try {
+    const r = await fetch('/api/views');
+    const j = await r.json().catch(() => ({}));
+    if (!r.ok || !j.ok) return;
+    savedViews = j.rows || [];
+
+    const rangeLabel = (k) =>
+      Array.from(qs('viewRange').options).find((o) => o.value === k)?.text || k;
+    sel.innerHTML =
+      '<option value="">(none)</option>' +
+      savedViews
+        .map(
+          (v) =>
+            `<option value="${escapeHtml(v.viewId)}">${escapeHtml(v.name)}${
+              v.owner ? ` (${escapeHtml(v.owner)})` : ''
+            }${v.range ? ` · ${escapeHtml(rangeLabel(v.range))}` : ''}</option>`
+        )
+        .join('');
+    sel.value = savedViews.some((v) => String(v.viewId) === keep) ? keep : '';
+  } catch {
+    // no saved views; the dropdown stays at "(none)"
+  }
+  updateViewButtons();
+}
+
+function selectedView() {
+  const id = qs('savedView').value;
+  return savedViews.find((v) => String(v.viewId) === id) || null;
+}
+
+function updateViewButtons() {
+  qs('btnDeleteView').disabled = !selectedView()?.canEdit;
+}
+
+qs('savedView').addEventListener('change', async () => {
+  updateViewButtons();
+  const view = selectedView();
+  if (!view) return;
+  applyFilterState(viewToParams(view));
+  qs('viewRange').value = view.range || '';
+  await loadAll();
+  syncUrl();
+});
+
+// Saves the filter bar as a view: overwrites the selected view when it is
+// ours and keeps its name, otherwise creates a new one.
+qs('btnSaveView').addEventListener('click', async () => {
+  const current = selectedView();
+  const name = window.prompt('Save view as', current?.name || '')?.trim();
+  if (!name) return;
+
+  const params = {};
+  for (const [k, v] of filterState()) params[k] = v;
+  const body = { name, params, range: qs('viewRange').value || null };
+  const update = current?.canEdit && current.name === name;
+  const r = await fetch(
+    update ? `/api/views/${current.viewId}` : '/api/views',
+    {
+      method: update ? 'PUT' : 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body),
+    }
+  );
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok || !j.ok) {
+    window.alert(`Could not save view: ${j.error || `HTTP ${r.status}`}`);
+    return;
+  }
+  await loadViews(String(j.row.viewId));
+});
+
+qs('btnDeleteView').addEventListener('click', async () => {
+  const view = selectedView();
+  if (!view || !window.confirm(`Delete view "${view.name}"?`)) return;
+  const r = await fetch(`/api/views/${view.viewId}`, { method: 'DELETE' });
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok || !j.ok) {
+    window.alert(`Could not delete view: ${j.error || `HTTP ${r.status}`}`);
+    return;
+  }
+  await loadViews('');
+});
+
+// boot: filters from the URL, else the last 30 days (report TZ)
 (async function boot() {
+  if (!(await loadMe())) return;
   await loadConfig();
   setTzLabels();
+  await loadAccountCodes();
+  await loadTeams();
+  await loadFilterOptions();
+  await loadViews();
 
   const toStr = ymdTodayInReportTz();
   const fromStr = ymdAddDays(toStr, -29);
 
   qs('from').value = fromStr;
   qs('to').value = toStr;
+  applyFilterState(new URLSearchParams(window.location.search));
 
   await loadAll();
+  syncUrl(true);
 })();
@@ -0,0 +1,26 @@
+function qs(id) {
+  return document.getElementById(id);
+}
+
+qs('loginForm').addEventListener('submit', async (ev) => {
+  ev.preventDefault();
+  const err = qs('loginError');
+  err.hidden = true;
+
+  try {
+    const r = await fetch('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        username: qs('username').value,
+        password: qs('password').value,
+      }),
+    });
+    const j = await r.json().catch(() => ({}));
+    if (!r.ok || !j.ok) throw new Error(j.error || `HTTP ${r.status}`);
+    window.location.href = '/';
+  } catch (e) {
+    err.textContent = String(e?.message || e);
+    err.hidden = false;
+  }
+});
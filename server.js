@@ -1,60 +1,530 @@
+const crypto = require('crypto');
 const express = require('express');
+const fs = require('fs');
 const path = require('path');
-const { Pool } = require('pg');
+const util = require('util');
+const { pool } = require('./db');
+const { migrationStatus, runMigrations } = require('./migrate');
+const { refreshHoursDeltas } = require('./deltas');
+const { buildWorkbook } = require('./xlsx');
+const { parseCron, nextCronWallTime } = require('./cron');
+const { sendMail } = require('./smtp');
 
 const app = express();
 app.use(express.json({ limit: '10mb' }));
 
 const PORT = process.env.PORT || 3000;
-const DATABASE_URL = process.env.DATABASE_URL;
+// Legacy shared ingest key; prefer per-agent keys (/api/admin/agents).
 const SYNC_API_KEY = process.env.SYNC_API_KEY || '';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
 const TFS_WORKITEM_URL_TEMPLATE = process.env.TFS_WORKITEM_URL_TEMPLATE || '';
-const REPORT_TZ_OFFSET_MINUTES = Number(
-  process.env.REPORT_TZ_OFFSET_MINUTES || '0'
-); // PST = -480
-const REPORT_TZ_LABEL = process.env.REPORT_TZ_LABEL || 'UTC';
+// IANA zone used for day/week/month boundaries, e.g. America/Los_Angeles.
+// Requests may override it with ?tz=.
+const REPORT_TZ = resolveDefaultTz();
+const REPORT_TZ_LABEL = process.env.REPORT_TZ_LABEL || REPORT_TZ;
 
-if (!DATABASE_URL) {
-  console.error('ERROR: DATABASE_URL env var not set.');
-  process.exit(1);
+// A source with no run or heartbeat for this long is stale: /health reports
+// "degraded" and the alert webhooks fire.
+const SYNC_STALE_AFTER_MINUTES =
+  Number(process.env.SYNC_STALE_AFTER_MINUTES) > 0
+    ? Number(process.env.SYNC_STALE_AFTER_MINUTES)
+    : 180;
+// Sources expected to keep syncing (comma-separated); default is every
+// source that has ever sent a run.
+const SYNC_EXPECTED_SOURCES = (process.env.SYNC_EXPECTED_SOURCES || '')
+  .split(',')
+  .map((s) => s.trim())
+  .filter(Boolean);
+// Teams/Slack incoming-webhook URLs (comma-separated) for sync alerts.
+const ALERT_WEBHOOK_URLS = (process.env.ALERT_WEBHOOK_URLS || '')
+  .split(',')
+  .map((s) => s.trim())
+  .filter(Boolean);
+const ALERT_CHECK_INTERVAL_MINUTES =
+  Number(process.env.ALERT_CHECK_INTERVAL_MINUTES) > 0
+    ? Number(process.env.ALERT_CHECK_INTERVAL_MINUTES)
+    : 5;
+
+// Scheduled report jobs run inside this process unless REPORT_SCHEDULER=0
+// (e.g. on all but one of several instances; claims keep them safe anyway).
+const REPORT_SCHEDULER = !/^(0|false|no)$/i.test(
+  process.env.REPORT_SCHEDULER || ''
+);
+// Relay for report jobs delivered by e-mail (plain SMTP, no auth).
+const SMTP_HOST = process.env.SMTP_HOST || 'localhost';
+const SMTP_PORT = Number(process.env.SMTP_PORT) || 25;
+const REPORT_MAIL_FROM =
+  process.env.REPORT_MAIL_FROM || 'tfs-hours-dashboard@localhost';
+
+// Apply pending migrations at startup unless MIGRATE_ON_START=0
+// (then run `npm run migrate` as a deploy step instead).
+const MIGRATE_ON_START = !/^(0|false|no)$/i.test(
+  process.env.MIGRATE_ON_START || ''
+);
+
+// Dashboard sessions: cookie name, lifetime (hours) and whether to mark the
+// cookie Secure (set SESSION_COOKIE_SECURE=1 behind HTTPS).
+const SESSION_COOKIE = 'tfs_session';
+const SESSION_TTL_HOURS =
+  Number(process.env.SESSION_TTL_HOURS) > 0
+    ? Number(process.env.SESSION_TTL_HOURS)
+    : 12;
+const SESSION_COOKIE_SECURE = /^(1|true|yes)$/i.test(
+  process.env.SESSION_COOKIE_SECURE || ''
+);
+// First admin, created at startup only while tfs_users is empty.
+const ADMIN_USERNAME = (process.env.ADMIN_USERNAME || '').trim();
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '';
+
+// ---------- Auth (users, roles, sessions) ----------
+const USER_ROLES = ['viewer', 'manager', 'admin'];
+const PASSWORD_MIN_LENGTH = 8;
+const scryptAsync = util.promisify(crypto.scrypt);
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+// Stored as "scrypt$N$r$p$<salt b64>$<hash b64>".
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p, keylen } = SCRYPT;
+  const hash = await scryptAsync(String(password), salt, keylen, { N, r, p });
+  return [
+    'scrypt',
+    N,
+    r,
+    p,
+    salt.toString('base64'),
+    hash.toString('base64'),
+  ].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+  const [, N, r, p, salt, hash] = parts;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scryptAsync(
+    String(password),
+    Buffer.from(salt, 'base64'),
+    expected.length,
+    { N: Number(N), r: Number(r), p: Number(p) }
+  );
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Unknown usernames are checked against this so login timing doesn't reveal
+// which accounts exist.
+let dummyPasswordHash = null;
+function getDummyPasswordHash() {
+  if (!dummyPasswordHash)
+    dummyPasswordHash = hashPassword(crypto.randomBytes(16));
+  return dummyPasswordHash;
+}
+
+function sha256Hex(v) {
+  return crypto.createHash('sha256').update(String(v)).digest('hex');
+}
+
+// Constant-time string comparison (hashes first so lengths always match).
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(
+    crypto.createHash('sha256').update(String(a)).digest(),
+    crypto.createHash('sha256').update(String(b)).digest()
+  );
+}
+
+function parseCookies(req) {
+  const out = {};
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i < 0) continue;
+    const k = part.slice(0, i).trim();
+    if (!k || k in out) continue;
+    const v = part.slice(i + 1).trim();
+    try {
+      out[k] = decodeURIComponent(v);
+    } catch {
+      out[k] = v;
+    }
+  }
+  return out;
+}
+
+function sessionCookieOptions(req) {
+  return {
+    path: '/',
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: SESSION_COOKIE_SECURE || req.secure,
+  };
+}
+
+// Sets req.user = { userId, username, displayName, role, teamIds } from the
+// session cookie, or from x-api-key = ADMIN_API_KEY (scripts; acts as admin).
+// Leaves req.user null when neither is valid.
+app.use(async (req, res, next) => {
+  req.user = null;
+  try {
+    const key = req.header('x-api-key');
+    if (ADMIN_API_KEY && key && safeEqual(key, ADMIN_API_KEY)) {
+      req.user = {
+        userId: null,
+        username: 'admin-api-key',
+        displayName: null,
+        role: 'admin',
+        teamIds: [],
+      };
+      return next();
+    }
+
+    const token = parseCookies(req)[SESSION_COOKIE];
+    if (!token) return next();
+
+    const r = await pool.query(
+      `SELECT u.user_id, u.username, u.display_name, u.role,
+         COALESCE(array_agg(ut.team_id) FILTER (WHERE ut.team_id IS NOT NULL), '{}') AS team_ids
+       FROM public.tfs_sessions s
+       JOIN public.tfs_users u ON u.user_id = s.user_id AND u.active
+       LEFT JOIN public.tfs_user_teams ut ON ut.user_id = u.user_id
+       WHERE s.token_hash = $1 AND s.expires_at > now()
+       GROUP BY u.user_id`,
+      [sha256Hex(token)]
+    );
+    const u = r.rows[0];
+    if (u) {
+      req.user = {
+        userId: u.user_id,
+        username: u.username,
+        displayName: u.display_name,
+        role: u.role,
+        teamIds: u.team_ids.map(Number),
+      };
+    }
+    next();
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// Everything under /api needs a signed-in user, except logging in and the
+// agent ingest (which has its own key).
+const PUBLIC_API_PATHS = new Set([
+  '/auth/login',
+  '/auth/logout',
+  '/tfs-hours-sync',
+  '/tfs-hours-sync/heartbeat',
+]);
+app.use('/api', (req, res, next) => {
+  if (req.user || PUBLIC_API_PATHS.has(req.path)) return next();
+  res.status(401).json({ ok: false, error: 'login required' });
+});
+
+// Teams a manager is limited to; null = unrestricted (viewer, admin).
+function scopeTeamIds(req) {
+  return req.user?.role === 'manager' ? req.user.teamIds : null;
+}
+
+function publicUser(u) {
+  return {
+    userId: u.userId,
+    username: u.username,
+    displayName: u.displayName,
+    role: u.role,
+    teamIds: u.teamIds,
+  };
+}
+
+app.post('/api/auth/login', async (req, res) => {
+  const username =
+    typeof req.body?.username === 'string' ? req.body.username.trim() : '';
+  const password =
+    typeof req.body?.password === 'string' ? req.body.password : '';
+  if (!username || !password)
+    return res
+      .status(400)
+      .json({ ok: false, error: 'username and password required' });
+
+  try {
+    const r = await pool.query(
+      `SELECT user_id, password_hash FROM public.tfs_users
+       WHERE lower(username) = lower($1) AND active`,
+      [username]
+    );
+    const u = r.rows[0];
+    const valid = await verifyPassword(
+      password,
+      u ? u.password_hash : await getDummyPasswordHash()
+    );
+    if (!u || !valid)
+      return res
+        .status(401)
+        .json({ ok: false, error: 'invalid username or password' });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await pool.query(
+      'DELETE FROM public.tfs_sessions WHERE expires_at <= now()'
+    );
+    await pool.query(
+      `INSERT INTO public.tfs_sessions(token_hash, user_id, expires_at)
+       VALUES ($1, $2, now() + make_interval(hours => $3))`,
+      [sha256Hex(token), u.user_id, SESSION_TTL_HOURS]
+    );
+    await pool.query(
+      'UPDATE public.tfs_users SET last_login_at = now() WHERE user_id = $1',
+      [u.user_id]
+    );
+
+    res.cookie(SESSION_COOKIE, token, {
+      ...sessionCookieOptions(req),
+      maxAge: SESSION_TTL_HOURS * 3600 * 1000,
+    });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+async function endSession(req, res) {
+  const token = parseCookies(req)[SESSION_COOKIE];
+  if (token) {
+    await pool.query('DELETE FROM public.tfs_sessions WHERE token_hash = $1', [
+      sha256Hex(token),
+    ]);
+  }
+  res.clearCookie(SESSION_COOKIE, sessionCookieOptions(req));
 }
 
-const pool = new Pool({
-  connectionString: DATABASE_URL,
-  ssl:
-    process.env.PGSSLMODE === 'disable' ? false : { rejectUnauthorized: false },
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await endSession(req, res);
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ ok: true, user: publicUser(req.user) });
+});
+
+// Logout page: drops the session and goes back to the login form.
+app.get('/logout', async (req, res) => {
+  try {
+    await endSession(req, res);
+  } catch (e) {
+    console.error('logout failed:', e?.message || e);
+  }
+  res.redirect('/login.html');
 });
 
 // ---------- Health ----------
+// Time since each source was last heard from (a run or a heartbeat); stale
+// past SYNC_STALE_AFTER_MINUTES. Expected sources never heard from are stale
+// too.
+async function syncSourceStatus() {
+  const r = await pool.query(
+    `SELECT
+       COALESCE(r.source, h.source) AS source,
+       r.last_run_at,
+       h.last_seen_at AS last_heartbeat_at
+     FROM (
+       SELECT source, MAX(COALESCE(received_at, run_at)) AS last_run_at
+       FROM public.tfs_hours_runs
+       GROUP BY source
+     ) r
+     FULL JOIN public.tfs_sync_heartbeats h ON h.source = r.source`
+  );
+  const bySource = new Map(r.rows.map((x) => [x.source.toLowerCase(), x]));
+  const names = SYNC_EXPECTED_SOURCES.length
+    ? SYNC_EXPECTED_SOURCES
+    : r.rows.map((x) => x.source);
+
+  const now = Date.now();
+  return names
+    .map((name) => {
+      const x = bySource.get(name.toLowerCase());
+      const run = x?.last_run_at ? new Date(x.last_run_at) : null;
+      const beat = x?.last_heartbeat_at ? new Date(x.last_heartbeat_at) : null;
+      const last = run && beat ? (run > beat ? run : beat) : run || beat;
+      const since = (t) => (t ? Math.floor((now - t.getTime()) / 60000) : null);
+      const minutes = since(last);
+      return {
+        source: x?.source ?? name,
+        lastRunAt: run,
+        minutesSinceLastRun: since(run),
+        lastHeartbeatAt: beat,
+        lastSeenAt: last,
+        minutesSinceLastSeen: minutes,
+        stale: minutes === null || minutes > SYNC_STALE_AFTER_MINUTES,
+      };
+    })
+    .sort((a, b) => a.source.localeCompare(b.source));
+}
+
+// status is "degraded" when any source is stale. The HTTP status stays 200
+// (so platform liveness probes don't restart a healthy server) unless
+// ?strict=1, which answers 503 for external monitors.
 app.get('/health', async (req, res) => {
   try {
     const r = await pool.query('select 1 as ok');
-    res.json({ ok: true, db: r.rows?.[0]?.ok === 1 });
+    const sources = await syncSourceStatus();
+    const degraded = sources.some((s) => s.stale);
+    const strict = ['1', 'true'].includes(String(req.query.strict || ''));
+    res.status(degraded && strict ? 503 : 200).json({
+      ok: true,
+      db: r.rows?.[0]?.ok === 1,
+      status: degraded ? 'degraded' : 'ok',
+      staleAfterMinutes: SYNC_STALE_AFTER_MINUTES,
+      sources,
+    });
   } catch (e) {
     res.status(500).json({ ok: false, error: String(e?.message || e) });
   }
 });
 
+// ---------- Sync alerts ----------
+// At most one ingest-failure alert per source in this window.
+const INGEST_FAILURE_ALERT_COOLDOWN_MS = 15 * 60 * 1000;
+const lastIngestFailureAlert = new Map();
+
+// POSTs { text } to every ALERT_WEBHOOK_URLS entry (accepted by both Teams
+// and Slack incoming webhooks). Never throws.
+async function sendAlert(text) {
+  await Promise.all(
+    ALERT_WEBHOOK_URLS.map(async (url) => {
+      try {
+        const r = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ text }),
+          signal: AbortSignal.timeout(10000),
+        });
+        if (!r.ok) {
+          console.error(`alert webhook ${new URL(url).host}: HTTP ${r.status}`);
+        }
+      } catch (e) {
+        console.error('alert webhook failed:', e?.message || e);
+      }
+    })
+  );
+}
+
+// Compares each source's staleness with the stored state and alerts on
+// transitions: fresh -> stale, and stale -> fresh (recovery).
+async function checkSyncStaleness() {
+  for (const s of await syncSourceStatus()) {
+    const r = await pool.query(
+      `INSERT INTO public.tfs_sync_alert_state(source, stale)
+       VALUES ($1, $2)
+       ON CONFLICT (source) DO UPDATE
+         SET stale = EXCLUDED.stale, changed_at = now()
+         WHERE tfs_sync_alert_state.stale IS DISTINCT FROM EXCLUDED.stale
+       RETURNING (xmax = 0) AS inserted`,
+      [s.source, s.stale]
+    );
+    if (!r.rows.length) continue; // unchanged
+
+    const last = s.lastSeenAt
+      ? `last seen ${
+          s.minutesSinceLastSeen
+        } min ago (${s.lastSeenAt.toISOString()})`
+      : 'never seen';
+    if (s.stale) {
+      await sendAlert(
+        `TFS hours sync STALE: source "${s.source}", ${last}; threshold ${SYNC_STALE_AFTER_MINUTES} min.`
+      );
+    } else if (!r.rows[0].inserted) {
+      await sendAlert(
+        `TFS hours sync recovered: source "${s.source}", ${last}.`
+      );
+    }
+  }
+}
+
+function alertIngestFailure(source, err) {
+  if (!ALERT_WEBHOOK_URLS.length) return;
+  const now = Date.now();
+  if (
+    now - (lastIngestFailureAlert.get(source) || 0) <
+    INGEST_FAILURE_ALERT_COOLDOWN_MS
+  )
+    return;
+  lastIngestFailureAlert.set(source, now);
+  sendAlert(
+    `TFS hours ingest FAILED for source "${source}": ${String(
+      err?.message || err
+    )}`
+  );
+}
+
+function startSyncAlerts() {
+  if (!ALERT_WEBHOOK_URLS.length) return;
+  const run = () =>
+    checkSyncStaleness().catch((e) =>
+      console.error('stale-sync check failed:', e?.message || e)
+    );
+  run();
+  setInterval(run, ALERT_CHECK_INTERVAL_MINUTES * 60 * 1000).unref();
+}
+
 app.get('/api/config', (req, res) => {
   res.json({
     ok: true,
     tfsWorkItemUrlTemplate: TFS_WORKITEM_URL_TEMPLATE,
-    reportTzOffsetMinutes: Number.isFinite(REPORT_TZ_OFFSET_MINUTES)
-      ? REPORT_TZ_OFFSET_MINUTES
-      : 0,
+    reportTz: REPORT_TZ,
     reportTzLabel: REPORT_TZ_LABEL,
   });
 });
 
 // ---------- Helpers ----------
-function requireApiKey(req, res) {
-  if (!SYNC_API_KEY) return true; // leaving empty disables auth (not recommended)
-  const key = req.header('x-api-key');
-  if (!key || key !== SYNC_API_KEY) {
-    res.status(401).json({ error: 'unauthorized' });
-    return false;
+async function touchSyncHeartbeat(db, source, agent) {
+  await db.query(
+    `INSERT INTO public.tfs_sync_heartbeats(source, agent_id, last_seen_at)
+     VALUES ($1, $2, now())
+     ON CONFLICT (source) DO UPDATE
+       SET agent_id = EXCLUDED.agent_id, last_seen_at = EXCLUDED.last_seen_at`,
+    [source, agent.agentId]
+  );
+}
+
+// Ingest auth: a per-agent key (see Agent keys) or the legacy shared
+// SYNC_API_KEY. Returns { agentId, keyId, agentName } (nulls for the shared
+// key), or sends 401 and returns null.
+async function authenticateAgent(req, res) {
+  const key = req.header('x-api-key') || '';
+  const m = AGENT_KEY_RE.exec(key);
+  if (m) {
+    const r = await pool.query(
+      `SELECT k.key_id, k.key_hash, a.agent_id, a.name
+       FROM public.tfs_agent_keys k
+       JOIN public.tfs_agents a ON a.agent_id = k.agent_id
+       WHERE k.key_prefix = $1
+         AND k.revoked_at IS NULL
+         AND (k.expires_at IS NULL OR k.expires_at > now())`,
+      [m[1]]
+    );
+    const k = r.rows[0];
+    if (k && safeEqual(sha256Hex(key), k.key_hash)) {
+      await pool.query(
+        'UPDATE public.tfs_agent_keys SET last_used_at = now() WHERE key_id = $1',
+        [k.key_id]
+      );
+      return { agentId: k.agent_id, keyId: k.key_id, agentName: k.name };
+    }
+  } else if (SYNC_API_KEY && key && safeEqual(key, SYNC_API_KEY)) {
+    return { agentId: null, keyId: null, agentName: null };
   }
-  return true;
+  res.status(401).json({ error: 'unauthorized' });
+  return null;
+}
+
+// Guards /api/admin/* (catalogs, users etc.): admin role, either signed in
+// or via x-api-key = ADMIN_API_KEY.
+function requireAdmin(req, res) {
+  if (req.user?.role === 'admin') return true;
+  if (req.user)
+    res.status(403).json({ ok: false, error: 'admin role required' });
+  else res.status(401).json({ ok: false, error: 'login required' });
+  return false;
 }
 
 function toDateOrNull(v) {
@@ -81,13 +551,87 @@ function chunkArray(arr, size) {
   return out;
 }
 
-function getReportOffsetMinutes() {
-  return Number.isFinite(REPORT_TZ_OFFSET_MINUTES)
-    ? REPORT_TZ_OFFSET_MINUTES
-    : 0;
+// ---------- Time zones ----------
+function isValidTimeZone(tz) {
+  if (!tz) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// REPORT_TZ wins; the legacy fixed REPORT_TZ_OFFSET_MINUTES is still honored
+// when it is a whole number of hours (mapped to Etc/GMT±N, which has no DST).
+function resolveDefaultTz() {
+  const tz = (process.env.REPORT_TZ || '').trim();
+  if (tz) {
+    if (isValidTimeZone(tz)) return tz;
+    console.error(`ERROR: REPORT_TZ "${tz}" is not a valid IANA time zone.`);
+    process.exit(1);
+  }
+
+  const legacy = Number(process.env.REPORT_TZ_OFFSET_MINUTES || '0');
+  if (!Number.isFinite(legacy) || legacy === 0) return 'UTC';
+  if (legacy % 60 !== 0) {
+    console.warn(
+      'WARN: REPORT_TZ_OFFSET_MINUTES is not whole hours; set REPORT_TZ instead. Using UTC.'
+    );
+    return 'UTC';
+  }
+  // Etc/GMT signs are inverted: UTC-8 is "Etc/GMT+8".
+  const h = -legacy / 60;
+  return `Etc/GMT${h > 0 ? '+' : '-'}${Math.abs(h)}`;
 }
 
-// Parses "YYYY-MM-DD" safely
+// ?tz= override, else REPORT_TZ. Returns null for an unknown zone.
+function getRequestTz(req) {
+  const tz = (req.query.tz || '').toString().trim();
+  if (!tz) return REPORT_TZ;
+  return isValidTimeZone(tz) ? tz : null;
+}
+
+const tzFormatters = new Map();
+
+// Minutes to add to UTC to get wall-clock time in tz at the given instant.
+function tzOffsetMinutesAt(ms, tz) {
+  let fmt = tzFormatters.get(tz);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    });
+    tzFormatters.set(tz, fmt);
+  }
+  const p = {};
+  for (const part of fmt.formatToParts(new Date(ms))) p[part.type] = part.value;
+  const wallMs = Date.UTC(
+    Number(p.year),
+    Number(p.month) - 1,
+    Number(p.day),
+    Number(p.hour),
+    Number(p.minute),
+    Number(p.second)
+  );
+  return Math.round((wallMs - Math.floor(ms / 1000) * 1000) / 60000);
+}
+
+// "YYYY-MM-DD" of the instant's calendar day in tz.
+function ymdInTz(d, tz) {
+  const ms = d instanceof Date ? d.getTime() : new Date(d).getTime();
+  if (!Number.isFinite(ms)) return null;
+  const local = new Date(ms + tzOffsetMinutesAt(ms, tz) * 60000);
+  return local.toISOString().slice(0, 10);
+}
+
+// Parses "YYYY-MM-DD" safely; null for malformed or impossible dates.
 function parseYmd(s) {
   const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(s || '').trim());
   if (!m) return null;
@@ -96,38 +640,210 @@ function parseYmd(s) {
   const d = Number(m[3]);
   if (!Number.isFinite(y) || !Number.isFinite(mo) || !Number.isFinite(d))
     return null;
+  // reject dates that don't exist (2024-02-31, 2024-13-01)
+  const dt = new Date(Date.UTC(y, mo - 1, d));
+  if (
+    dt.getUTCFullYear() !== y ||
+    dt.getUTCMonth() !== mo - 1 ||
+    dt.getUTCDate() !== d
+  )
+    return null;
   return { y, mo, d };
 }
 
+// UTC instant of wall-clock y-mo-d h:mi in tz. The offset is looked up
+// twice because the first guess can land on the other side of a DST switch.
+function zonedWallTimeToUtcMs(y, mo, d, h, mi, tz) {
+  const wallMs = Date.UTC(y, mo - 1, d, h, mi, 0, 0);
+  let utcMs = wallMs - tzOffsetMinutesAt(wallMs, tz) * 60000;
+  utcMs = wallMs - tzOffsetMinutesAt(utcMs, tz) * 60000;
+  return utcMs;
+}
+
+// UTC instant of local midnight of y-mo-d in tz.
+function zonedMidnightToUtcMs(y, mo, d, tz) {
+  return zonedWallTimeToUtcMs(y, mo, d, 0, 0, tz);
+}
+
+// Wall-clock fields { y, mo, d, h, mi } of the instant in tz.
+function wallTimeInTz(ms, tz) {
+  const local = new Date(ms + tzOffsetMinutesAt(ms, tz) * 60000);
+  return {
+    y: local.getUTCFullYear(),
+    mo: local.getUTCMonth() + 1,
+    d: local.getUTCDate(),
+    h: local.getUTCHours(),
+    mi: local.getUTCMinutes(),
+  };
+}
+
 // Converts local-midnight (in report timezone) to UTC Date.
-// Formula: utc = UTCmidnight(date) - offsetMinutes
-function localMidnightToUtcDate(dateStr, offsetMinutes) {
+function localMidnightToUtcDate(dateStr, tz) {
   const p = parseYmd(dateStr);
   if (!p) return null;
-  const utcMidnightMs = Date.UTC(p.y, p.mo - 1, p.d, 0, 0, 0, 0);
-  return new Date(utcMidnightMs - offsetMinutes * 60 * 1000);
+  return new Date(zonedMidnightToUtcMs(p.y, p.mo, p.d, tz));
 }
 
-// From/To are *calendar days* in report timezone (PST).
-// Returns { fromUtc, toExclusiveUtc } where toExclusive is next-day midnight (PST) in UTC.
-function rangeFromToUtc(fromStr, toStr, offsetMinutes) {
-  const fromUtc = localMidnightToUtcDate(fromStr, offsetMinutes);
-  const toStartUtc = localMidnightToUtcDate(toStr, offsetMinutes);
-  if (
-    !fromUtc ||
-    !toStartUtc ||
-    isNaN(fromUtc.getTime()) ||
-    isNaN(toStartUtc.getTime())
-  )
-    return null;
-  const toExclusiveUtc = new Date(toStartUtc.getTime() + 86400 * 1000);
+// From/To are *calendar days* in the report timezone.
+// Returns { fromUtc, toExclusiveUtc } where toExclusive is the local midnight
+// after `to` (23h or 25h after its start on DST change days).
+function rangeFromToUtc(fromStr, toStr, tz) {
+  const fromUtc = localMidnightToUtcDate(fromStr, tz);
+  const to = parseYmd(toStr);
+  if (!fromUtc || !to || isNaN(fromUtc.getTime())) return null;
+  const toExclusiveUtc = new Date(
+    zonedMidnightToUtcMs(to.y, to.mo, to.d + 1, tz)
+  );
+  if (isNaN(toExclusiveUtc.getTime())) return null;
   return { fromUtc, toExclusiveUtc };
 }
 
+// Reads from/to (inclusive report-TZ calendar days, YYYY-MM-DD) and ?tz=.
+// Returns { error } or { fromStr, toStr, tz, fromUtc, toExclusiveUtc }.
+function parseReportRange(req) {
+  const fromStr = (req.query.from || '').toString().trim();
+  const toStr = (req.query.to || '').toString().trim();
+  if (!fromStr || !toStr) {
+    return { error: 'from and to required (YYYY-MM-DD)' };
+  }
+
+  const tz = getRequestTz(req);
+  if (!tz) return { error: 'invalid tz' };
+
+  const rng = rangeFromToUtc(fromStr, toStr, tz);
+  if (!rng) return { error: 'invalid from/to date' };
+  return { fromStr, toStr, tz, ...rng };
+}
+
 // ---------- Ingest ----------
-function buildUpsertLatest(rows) {
-  // Reduce to latest per task_id within this batch to avoid ON CONFLICT
-  // collisions in a single INSERT statement.
+// Declared shape of an ingest row. A row with any violation is rejected as a
+// whole; optional fields may be absent or null.
+const INGEST_ROW_SCHEMA = {
+  taskId: { type: 'int', required: true, min: 1 },
+  taskChangedDate: { type: 'date', required: true },
+  actualHours: { type: 'number', min: 0 },
+  taskTitle: { type: 'string', maxLength: 1000 },
+  activity: { type: 'string', maxLength: 200 },
+  taskAssignedTo: { type: 'string', maxLength: 500 },
+  taskAssignedToUPN: { type: 'string', maxLength: 500 },
+  parentId: { type: 'int', min: 1 },
+  parentType: { type: 'string', maxLength: 200 },
+  parentTitle: { type: 'string', maxLength: 1000 },
+  accountCode: { type: 'int' },
+};
+const PG_INT_MAX = 2147483647;
+
+// Checks one field against its spec. Returns { value } or { reason }.
+function checkIngestField(v, spec) {
+  if (v === undefined || v === null || v === '') {
+    return spec.required ? { reason: 'required' } : { value: null };
+  }
+  switch (spec.type) {
+    case 'int': {
+      const n =
+        typeof v === 'string' && /^\s*-?\d+\s*$/.test(v) ? Number(v) : v;
+      if (!Number.isInteger(n)) return { reason: 'must be an integer' };
+      if (Math.abs(n) > PG_INT_MAX) return { reason: 'out of range' };
+      if (spec.min !== undefined && n < spec.min)
+        return { reason: `must be >= ${spec.min}` };
+      return { value: n };
+    }
+    case 'number': {
+      const n =
+        typeof v === 'number' || (typeof v === 'string' && v.trim())
+          ? Number(v)
+          : NaN;
+      if (!Number.isFinite(n)) return { reason: 'must be a number' };
+      if (spec.min !== undefined && n < spec.min)
+        return { reason: `must be >= ${spec.min}` };
+      return { value: n };
+    }
+    case 'date': {
+      const d =
+        typeof v === 'string' || typeof v === 'number' ? new Date(v) : null;
+      if (!d || isNaN(d.getTime())) return { reason: 'not a valid date' };
+      return { value: d.toISOString() };
+    }
+    case 'string': {
+      if (typeof v !== 'string' && typeof v !== 'number')
+        return { reason: 'must be a string' };
+      const s = String(v);
+      if (s.length > spec.maxLength)
+        return { reason: `longer than ${spec.maxLength} characters` };
+      return { value: s };
+    }
+  }
+  return { value: v };
+}
+
+// Splits rows into cleaned valid rows and rejections
+// ({ index, field, reason, row }; one entry per failing field).
+function validateIngestRows(rows) {
+  const valid = [];
+  const rejected = [];
+  rows.forEach((row, index) => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      rejected.push({
+        index,
+        field: '(row)',
+        reason: 'must be an object',
+        row,
+      });
+      return;
+    }
+    const clean = { ...row };
+    const problems = [];
+    for (const [field, spec] of Object.entries(INGEST_ROW_SCHEMA)) {
+      const c = checkIngestField(row[field], spec);
+      if (c.reason) problems.push({ index, field, reason: c.reason, row });
+      else clean[field] = c.value;
+    }
+    if (problems.length) rejected.push(...problems);
+    else valid.push(clean);
+  });
+  return { valid, rejected };
+}
+
+async function insertRejections(client, runId, rejected) {
+  for (const ch of chunkArray(rejected, 500)) {
+    await client.query(
+      `INSERT INTO public.tfs_hours_run_rejections(run_id, row_index, field, reason, row_data)
+       SELECT $1, x.row_index, x.field, x.reason, x.row_data
+       FROM jsonb_to_recordset($2::jsonb)
+         AS x(row_index int, field text, reason text, row_data jsonb)`,
+      [
+        runId,
+        JSON.stringify(
+          ch.map((r) => ({
+            row_index: r.index,
+            field: r.field,
+            reason: r.reason,
+            row_data: r.row ?? null,
+          }))
+        ),
+      ]
+    );
+  }
+}
+
+async function loadRunRejections(db, runId) {
+  const r = await db.query(
+    `SELECT row_index AS index, field, reason, row_data AS row
+     FROM public.tfs_hours_run_rejections
+     WHERE run_id = $1
+     ORDER BY row_index, field`,
+    [runId]
+  );
+  return r.rows;
+}
+
+// Rejections as returned to clients (row data stays in the table).
+function rejectionReport(rejected) {
+  return rejected.map(({ index, field, reason }) => ({ index, field, reason }));
+}
+
+// Latest row per task_id within a batch (what the latest-table upsert sees).
+function latestPerTask(rows) {
   const latestByTask = new Map();
   for (const r of rows) {
     const tid = normInt(r.taskId);
@@ -143,7 +859,13 @@ function buildUpsertLatest(rows) {
       latestByTask.set(tid, { ...r, taskId: tid, taskChangedDate: tcd });
     }
   }
-  const uniq = Array.from(latestByTask.values());
+  return Array.from(latestByTask.values());
+}
+
+function buildUpsertLatest(rows) {
+  // Reduce to latest per task_id within this batch to avoid ON CONFLICT
+  // collisions in a single INSERT statement.
+  const uniq = latestPerTask(rows);
 
   const cols = [
     'task_id',
@@ -205,9 +927,9 @@ function buildUpsertLatest(rows) {
   return { text, values };
 }
 
-function buildSnapshotInsert(runId, snapshotAt, rows) {
-  // Dedupe within the batch by (task_id, task_changed_date) so a single insert
-  // doesn't generate multiple conflicts on the same row for this run.
+// Dedupe within the batch by (task_id, task_changed_date) so a single insert
+// doesn't generate multiple conflicts on the same row for this run.
+function uniqueSnapshotRows(rows) {
   const seen = new Set();
   const uniq = [];
   for (const r of rows) {
@@ -218,6 +940,11 @@ function buildSnapshotInsert(runId, snapshotAt, rows) {
     seen.add(key);
     uniq.push({ ...r, taskId: tid, taskChangedDate: tcd });
   }
+  return uniq;
+}
+
+function buildSnapshotInsert(runId, snapshotAt, rows) {
+  const uniq = uniqueSnapshotRows(rows);
 
   const cols = [
     'run_id',
@@ -270,31 +997,220 @@ function buildSnapshotInsert(runId, snapshotAt, rows) {
   return { text, values };
 }
 
+// JSON with object keys sorted, so equal payloads hash equally.
+function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(',')}]`;
+  if (v && typeof v === 'object') {
+    return `{${Object.keys(v)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(v[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+// Fingerprint of who sent which rows. syncedAtUtc is left out on purpose: a
+// re-run after a timeout re-sends the same rows with a new timestamp.
+function payloadFingerprint(agent, source, rows) {
+  const canon = rows.map(stableStringify).sort();
+  return sha256Hex(JSON.stringify([agent.agentId, source ?? null, canon]));
+}
+
+// How long an identical keyless payload counts as a retry. Agents without
+// an Idempotency-Key may re-send unchanged rows on every sync; a replay
+// touches the source's heartbeat, so it still counts as the source being
+// alive for /health.
+const INGEST_REPLAY_WINDOW_HOURS = 24;
+
+// Earlier run this request replays: the same agent's run with the same
+// Idempotency-Key if one was sent, otherwise the same payload fingerprint
+// received within INGEST_REPLAY_WINDOW_HOURS.
+async function findReplayedRun(db, agent, idempotencyKey, payloadHash) {
+  const r = await db.query(
+    `SELECT run_id, run_at, item_count, rejected_count
+     FROM public.tfs_hours_runs
+     WHERE CASE WHEN $1::text IS NOT NULL
+                THEN idempotency_key = $1
+                     AND agent_id IS NOT DISTINCT FROM $3
+                ELSE payload_hash = $2
+                     AND received_at > now() - $4 * interval '1 hour' END
+     ORDER BY run_id
+     LIMIT 1`,
+    [idempotencyKey, payloadHash, agent.agentId, INGEST_REPLAY_WINDOW_HOURS]
+  );
+  return r.rows[0] || null;
+}
+
+// What an ingest of `rows` would do, without writing: tasks not seen before,
+// per-task hour changes on tfs_task_hours_latest, and rows the
+// `task_changed_date <=` guard would skip.
+async function previewIngest(db, rows) {
+  const uniq = latestPerTask(rows);
+  const r = await db.query(
+    `SELECT
+       b.ord,
+       l.task_id IS NULL   AS is_new,
+       l.task_changed_date AS latest_changed,
+       l.task_actual_hours AS latest_hours,
+       COALESCE(l.task_changed_date <= b.changed, false) AS applies
+     FROM unnest($1::int[], $2::timestamptz[]) WITH ORDINALITY AS b(task_id, changed, ord)
+     LEFT JOIN public.tfs_task_hours_latest l ON l.task_id = b.task_id
+     ORDER BY b.ord`,
+    [uniq.map((x) => x.taskId), uniq.map((x) => x.taskChangedDate)]
+  );
+
+  const newTasks = [];
+  const hourChanges = [];
+  const skipped = [];
+  for (const x of r.rows) {
+    const row = uniq[Number(x.ord) - 1];
+    const newHours = normNum(row.actualHours);
+    if (x.is_new) {
+      newTasks.push({
+        taskId: row.taskId,
+        taskChangedDate: row.taskChangedDate,
+        actualHours: newHours,
+      });
+    } else if (!x.applies) {
+      skipped.push({
+        taskId: row.taskId,
+        taskChangedDate: row.taskChangedDate,
+        latestChangedDate: x.latest_changed,
+        reason: 'older than stored taskChangedDate',
+      });
+    } else if ((x.latest_hours ?? null) !== newHours) {
+      hourChanges.push({
+        taskId: row.taskId,
+        taskChangedDate: row.taskChangedDate,
+        prevHours: x.latest_hours,
+        newHours,
+        deltaHours: (newHours ?? 0) - (x.latest_hours ?? 0),
+      });
+    }
+  }
+
+  return {
+    snapshotRows: uniqueSnapshotRows(rows).length,
+    newTasks,
+    hourChanges,
+    skipped,
+  };
+}
+
+// Idempotent: a retried POST (same Idempotency-Key from the same agent, or
+// the same payload within INGEST_REPLAY_WINDOW_HOURS when no key is sent)
+// returns the original runId with replayed: true and only touches the
+// source's heartbeat.
+// ?dryRun=1 reports what would change and writes nothing.
+// Rows failing INGEST_ROW_SCHEMA are skipped and reported (and stored with
+// the run); the valid rows are still ingested.
 app.post('/api/tfs-hours-sync', async (req, res) => {
-  if (!requireApiKey(req, res)) return;
+  let agent;
+  try {
+    agent = await authenticateAgent(req, res);
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+  if (!agent) return;
 
   const { source, syncedAtUtc, rows } = req.body || {};
   if (!rows || !Array.isArray(rows) || rows.length === 0) {
     return res.status(400).json({ ok: false, error: 'rows array required' });
   }
 
-  const syncTs = syncedAtUtc ? new Date(syncedAtUtc) : new Date();
-  const src = source ?? 'tfs-hours-sync';
+  const syncTs = syncedAtUtc ? toDateOrNull(syncedAtUtc) : new Date();
+  if (!syncTs)
+    return res.status(400).json({ ok: false, error: 'invalid syncedAtUtc' });
+  const { valid, rejected } = validateIngestRows(rows);
+  // keyed runs are attributed to the agent, not to what the payload claims
+  const src = agent.agentName ?? source ?? 'tfs-hours-sync';
+
+  const idemRaw = req.header('idempotency-key') ?? req.body?.idempotencyKey;
+  const idempotencyKey =
+    typeof idemRaw === 'string' && idemRaw.trim() ? idemRaw.trim() : null;
+  const payloadHash = payloadFingerprint(agent, source, rows);
+  const dryRun = ['1', 'true'].includes(String(req.query.dryRun || ''));
+
+  if (dryRun) {
+    try {
+      const prior = await findReplayedRun(
+        pool,
+        agent,
+        idempotencyKey,
+        payloadHash
+      );
+      const preview = await previewIngest(pool, valid);
+      return res.json({
+        ok: true,
+        dryRun: true,
+        count: rows.length,
+        accepted: valid.length,
+        rejected: rejectionReport(rejected),
+        replayOf: prior ? prior.run_id : null,
+        ...preview,
+      });
+    } catch (e) {
+      return res
+        .status(500)
+        .json({ ok: false, error: String(e?.message || e) });
+    }
+  }
 
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
 
+    // serialize concurrent retries of the same request
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [
+      idempotencyKey ? `${agent.agentId}|${idempotencyKey}` : payloadHash,
+    ]);
+    const prior = await findReplayedRun(
+      client,
+      agent,
+      idempotencyKey,
+      payloadHash
+    );
+    if (prior) {
+      const rej = await loadRunRejections(client, prior.run_id);
+      await client.query('ROLLBACK');
+      await touchSyncHeartbeat(client, src, agent);
+      return res.json({
+        ok: true,
+        count: prior.item_count,
+        accepted: prior.item_count - prior.rejected_count,
+        rejected: rejectionReport(rej),
+        runId: prior.run_id,
+        runAt: prior.run_at,
+        replayed: true,
+      });
+    }
+
     const runR = await client.query(
-      `INSERT INTO public.tfs_hours_runs(run_at, source, item_count)
-       VALUES ($1, $2, $3)
+      `INSERT INTO public.tfs_hours_runs
+         (run_at, source, item_count, agent_id, key_id, client_source,
+          idempotency_key, payload_hash, rejected_count)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
        RETURNING run_id, run_at`,
-      [syncTs, src, rows.length]
+      [
+        syncTs,
+        src,
+        rows.length,
+        agent.agentId,
+        agent.keyId,
+        source ?? null,
+        idempotencyKey,
+        payloadHash,
+        new Set(rejected.map((r) => r.index)).size,
+      ]
     );
     const runId = runR.rows[0].run_id;
     const runAt = runR.rows[0].run_at;
 
-    const chunks = chunkArray(rows, 200);
+    await insertRejections(client, runId, rejected);
+
+    const normalized = await normalizeIdentities(client, valid);
+
+    const chunks = chunkArray(normalized, 200);
     for (const ch of chunks) {
       const enriched = ch.map((r) => ({
         ...r,
@@ -308,32 +1224,78 @@ app.post('/api/tfs-hours-sync', async (req, res) => {
       await client.query(s.text, s.values);
     }
 
+    await refreshHoursDeltas(
+      client,
+      Array.from(new Set(normalized.map((r) => normInt(r.taskId))))
+    );
+
     await client.query('COMMIT');
-    res.json({ ok: true, count: rows.length, runId, runAt });
+    // report recovery right away instead of at the next interval check
+    if (ALERT_WEBHOOK_URLS.length) {
+      checkSyncStaleness().catch((e) =>
+        console.error('stale-sync check failed:', e?.message || e)
+      );
+    }
+    res.json({
+      ok: true,
+      count: rows.length,
+      accepted: valid.length,
+      rejected: rejectionReport(rejected),
+      runId,
+      runAt,
+    });
   } catch (e) {
     await client.query('ROLLBACK');
     console.error('INGEST ERROR:', e);
+    alertIngestFailure(src, e);
     res.status(500).json({ ok: false, error: String(e?.message || e) });
   } finally {
     client.release();
   }
 });
 
+// Heartbeat for a sync that found nothing to send: marks the source as
+// alive for /health without recording a run.
+app.post('/api/tfs-hours-sync/heartbeat', async (req, res) => {
+  let agent;
+  try {
+    agent = await authenticateAgent(req, res);
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+  if (!agent) return;
+
+  const src = agent.agentName ?? req.body?.source ?? 'tfs-hours-sync';
+  try {
+    await touchSyncHeartbeat(pool, src, agent);
+    if (ALERT_WEBHOOK_URLS.length) {
+      checkSyncStaleness().catch((e) =>
+        console.error('stale-sync check failed:', e?.message || e)
+      );
+    }
+    res.json({ ok: true, source: src });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
 app.get('/api/hours/latest', async (req, res) => {
   const fromStr = (req.query.from || '').toString().trim(); // YYYY-MM-DD
   const toStr = (req.query.to || '').toString().trim(); // YYYY-MM-DD
-  const assignedToUPN = (req.query.assignedToUPN || '').toString().trim();
-  const accountCodeRaw = (req.query.accountCode || '').toString().trim();
-  const accountCode = accountCodeRaw ? Number(accountCodeRaw) : null;
 
   const limit = Math.min(2000, Math.max(1, Number(req.query.limit || 200)));
   const offset = Math.max(0, Number(req.query.offset || 0));
 
+  const tz = getRequestTz(req);
+  if (!tz) return res.status(400).json({ ok: false, error: 'invalid tz' });
+
+  const hf = parseHoursFilters(req);
+  if (hf.error) return res.status(400).json({ ok: false, error: hf.error });
+
   let from = null,
     toExclusive = null;
   if (fromStr && toStr) {
-    const offsetMin = getReportOffsetMinutes(); // PST = -480
-    const rng = rangeFromToUtc(fromStr, toStr, offsetMin);
+    const rng = rangeFromToUtc(fromStr, toStr, tz);
     if (!rng)
       return res.status(400).json({ ok: false, error: 'invalid from/to date' });
     from = rng.fromUtc;
@@ -352,15 +1314,30 @@ app.get('/api/hours/latest', async (req, res) => {
     );
   }
 
-  // make AssignedToUPN filter forgiving (works even with older snapshots that stored "Name <UPN>")
-  if (assignedToUPN) {
-    params.push(`%${assignedToUPN}%`);
-    where.push(`COALESCE(task_assigned_upn,'') ILIKE $${params.length}`);
-  }
+  // AssignedToUPN matches the stored value too, so older rows that stored
+  // "Name <UPN>" still match
+  where.push(
+    ...hoursFilterSql(hf, params, LATEST_FILTER_COLS).map((f) =>
+      f.replace(/^AND /, '')
+    )
+  );
 
-  if (Number.isFinite(accountCode)) {
-    params.push(accountCode);
-    where.push(`account_code = $${params.length}`);
+  // managers: only tasks last changed by a member of one of their teams
+  const scope = scopeTeamIds(req);
+  if (scope) {
+    params.push(scope, tz);
+    where.push(
+      `EXISTS (
+        SELECT 1 FROM public.tfs_team_members sm
+        WHERE sm.team_id = ANY($${params.length - 1}::bigint[])
+          AND ${memberIsPersonSql('sm', 'l.task_assigned_upn', 'p.person_id')}
+          AND (COALESCE(l.task_changed_date, l.synced_at) AT TIME ZONE $${
+            params.length
+          })::date
+            BETWEEN COALESCE(sm.effective_from, '-infinity'::date)
+                AND COALESCE(sm.effective_to, 'infinity'::date)
+      )`
+    );
   }
 
   params.push(limit, offset);
@@ -371,15 +1348,18 @@ app.get('/api/hours/latest', async (req, res) => {
       task_title,
       task_changed_date,
       task_activity,
-      task_assigned_to,
-      task_assigned_upn,
+      ${canonicalPersonCols('l')},
       task_actual_hours,
       parent_id,
       parent_type,
       parent_title,
-      account_code,
+      l.account_code,
+      ac.name AS account_name,
+      ac.billable,
       COUNT(*) OVER() AS total_count
-    FROM public.tfs_task_hours_latest
+    FROM public.tfs_task_hours_latest l
+    LEFT JOIN public.tfs_account_codes ac ON ac.account_code = l.account_code
+    ${personJoinSql('l')}
     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
     ORDER BY COALESCE(task_changed_date, synced_at) DESC NULLS LAST
 
@@ -396,122 +1376,596 @@ app.get('/api/hours/latest', async (req, res) => {
   }
 });
 
-// ---------- Hours summary (delta-based; supports negative corrections) ----------
-app.get('/api/hours/summary', async (req, res) => {
-  const bucketRaw = (req.query.bucket || 'day').toString().trim().toLowerCase();
-  const bucketAllowed = new Set(['day', 'week', 'month']);
-  const bucket = bucketAllowed.has(bucketRaw) ? bucketRaw : 'day';
+// Values for the activity / parent type filter pickers.
+app.get('/api/hours/filter-options', async (req, res) => {
+  try {
+    const r = await pool.query(`
+      SELECT
+        array_agg(DISTINCT task_activity ORDER BY task_activity)
+          FILTER (WHERE task_activity IS NOT NULL) AS activities,
+        array_agg(DISTINCT parent_type ORDER BY parent_type)
+          FILTER (WHERE parent_type IS NOT NULL) AS "parentTypes"
+      FROM public.tfs_task_hours_latest
+    `);
+    res.json({
+      ok: true,
+      activities: r.rows[0].activities || [],
+      parentTypes: r.rows[0].parentTypes || [],
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
 
-  const fromStr = (req.query.from || '').toString().trim(); // YYYY-MM-DD
-  const toStr = (req.query.to || '').toString().trim(); // YYYY-MM-DD (inclusive in UI)
+// ---------- Delta stream ----------
+// One row per ActualHours change in [$1, $2): the change time, who/what it
+// was logged against, and the net delta versus the task's previous value
+// (including the last value before the range). Reads the precomputed
+// tfs_hours_deltas (deltas.js). Exposed as CTE "d"; callers append
+// "SELECT ... FROM d" and their own filters from $3 on.
+function deltaEntriesCte() {
+  return `
+    d AS (
+      SELECT
+        x.run_id,
+        x.snapshot_at,
+        x.changed_at,
+        x.task_id,
+        ${canonicalPersonCols('x')},
+        x.task_assigned_upn AS raw_assigned_upn,
+        x.task_activity,
+        x.prev_hours,
+        x.actual_hours,
+        x.delta_hours,
+        x.parent_id,
+        x.account_code
+      FROM public.tfs_hours_deltas x
+      ${personJoinSql('x')}
+      WHERE x.changed_at >= $1::timestamptz AND x.changed_at < $2::timestamptz
+    )
+  `;
+}
 
-  if (!fromStr || !toStr) {
-    return res
-      .status(400)
-      .json({ ok: false, error: 'from and to required (YYYY-MM-DD)' });
-  }
+// ---------- People / identity aliases ----------
+// Same rule as public.tfs_identity_key(): the part inside <...> if present,
+// trimmed and lower-cased.
+function identityKey(v) {
+  if (v === null || v === undefined) return null;
+  const s = String(v);
+  const m = /<([^>]+)>/.exec(s);
+  const k = (m ? m[1] : s).trim().toLowerCase();
+  return k || null;
+}
 
-  const offsetMin = getReportOffsetMinutes(); // PST = -480
-  const rng = rangeFromToUtc(fromStr, toStr, offsetMin);
-  if (!rng) {
-    return res.status(400).json({ ok: false, error: 'invalid from/to date' });
+// Rewrites each row's taskAssignedToUPN / taskAssignedTo to the canonical
+// person when an alias matches, and splits legacy "Name <UPN>" strings.
+async function normalizeIdentities(client, rows) {
+  const keys = new Set();
+  for (const r of rows) {
+    const ku = identityKey(r.taskAssignedToUPN);
+    const kn = identityKey(r.taskAssignedTo);
+    if (ku) keys.add(ku);
+    if (kn) keys.add(kn);
   }
-  const from = rng.fromUtc;
-  const toExclusive = rng.toExclusiveUtc;
+  if (!keys.size) return rows;
 
-  const assignedToUPN = (req.query.assignedToUPN || '').toString().trim();
-  const accountCodeRaw = (req.query.accountCode || '').toString().trim();
-  const accountCode = accountCodeRaw ? Number(accountCodeRaw) : null;
+  const m = await client.query(
+    `SELECT a.alias_key, p.canonical_upn, p.display_name
+     FROM public.tfs_person_aliases a
+     JOIN public.tfs_people p ON p.person_id = a.person_id
+     WHERE a.alias_key = ANY($1::text[])`,
+    [Array.from(keys)]
+  );
+  const byKey = new Map(m.rows.map((x) => [x.alias_key, x]));
 
-  const params = [
-    from.toISOString(),
-    toExclusive.toISOString(),
-    bucket,
-    offsetMin,
-  ];
-  let idx = params.length;
+  return rows.map((r) => {
+    let upn = r.taskAssignedToUPN ?? null;
+    let name = r.taskAssignedTo ?? null;
 
-  // optional filters
+    const legacy =
+      typeof upn === 'string' ? /^(.*?)\s*<([^>]+)>\s*$/.exec(upn) : null;
+    if (legacy) {
+      upn = legacy[2].trim();
+      if (!name && legacy[1].trim()) name = legacy[1].trim();
+    }
+
+    const person =
+      byKey.get(identityKey(upn)) || byKey.get(identityKey(name)) || null;
+    if (person) {
+      upn = person.canonical_upn;
+      name = person.display_name || name;
+    }
+    return { ...r, taskAssignedToUPN: upn, taskAssignedTo: name };
+  });
+}
+
+// Resolves <x>.task_assigned_upn (else task_assigned_to) through the alias
+// table to person "p". Pair with canonicalPersonCols(x).
+function personJoinSql(x) {
+  return `
+    LEFT JOIN public.tfs_person_aliases pa_u
+      ON pa_u.alias_key = public.tfs_identity_key(${x}.task_assigned_upn)
+    LEFT JOIN public.tfs_person_aliases pa_n
+      ON pa_u.alias_id IS NULL
+     AND pa_n.alias_key = public.tfs_identity_key(${x}.task_assigned_to)
+    LEFT JOIN public.tfs_people p
+      ON p.person_id = COALESCE(pa_u.person_id, pa_n.person_id)
+  `;
+}
+
+// Canonical UPN / display name; unmapped legacy "Name <UPN>" strings still
+// yield just the UPN.
+function canonicalPersonCols(x) {
+  return `
+    COALESCE(
+      p.canonical_upn,
+      substring(${x}.task_assigned_upn FROM '<([^>]+)>'),
+      ${x}.task_assigned_upn
+    ) AS task_assigned_upn,
+    COALESCE(p.display_name, ${x}.task_assigned_to) AS task_assigned_to,
+    p.person_id`;
+}
+
+// ---------- Hours filters ----------
+// Shared by every hours report. Each filter takes a list (repeat the
+// parameter or separate values with commas); the exclude* variant drops
+// matches instead. "none" in accountCode / parentId lists means "no code" /
+// "no parent".
+//   assignedToUPN   substring of the canonical or as-ingested identity
+//   accountCode, parentId, taskId   ids
+//   activity, parentType            exact, case-insensitive
+//   minDelta / maxDelta             bounds on a change's hours delta
+const HOURS_LIST_FILTERS = {
+  assignedToUPN: 'text',
+  accountCode: 'id',
+  activity: 'text',
+  parentType: 'text',
+  parentId: 'id',
+  taskId: 'id',
+};
+
+function queryList(req, name) {
+  const raw = req.query[name];
+  if (raw === undefined) return [];
+  return (Array.isArray(raw) ? raw : [raw])
+    .flatMap((v) => String(v).split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+// Reads the filters from req. Returns { error } or
+// { include: {name: values}, exclude: {name: values}, minDelta, maxDelta };
+// id lists hold numbers plus null for "none".
+function parseHoursFilters(req) {
+  const out = { include: {}, exclude: {}, minDelta: null, maxDelta: null };
+  for (const [name, kind] of Object.entries(HOURS_LIST_FILTERS)) {
+    const excludeName = `exclude${name[0].toUpperCase()}${name.slice(1)}`;
+    for (const [param, bucket] of [
+      [name, out.include],
+      [excludeName, out.exclude],
+    ]) {
+      const values = queryList(req, param);
+      if (!values.length) continue;
+      if (kind === 'id') {
+        const ids = [];
+        for (const v of values) {
+          if (v.toLowerCase() === 'none') {
+            ids.push(null);
+            continue;
+          }
+          const n = Number(v);
+          if (!Number.isInteger(n)) return { error: `invalid ${param}: ${v}` };
+          ids.push(n);
+        }
+        bucket[name] = ids;
+      } else {
+        bucket[name] = values;
+      }
+    }
+  }
+  for (const k of ['minDelta', 'maxDelta']) {
+    const raw = (req.query[k] ?? '').toString().trim();
+    if (raw === '') continue;
+    const n = Number(raw);
+    if (!Number.isFinite(n)) return { error: `invalid ${k}` };
+    out[k] = n;
+  }
+  return out;
+}
+
+// Column expressions for the delta stream "d" and for
+// tfs_task_hours_latest "l" (joined to person "p"); the latest table has no
+// deltas, so minDelta / maxDelta don't apply there.
+const DELTA_FILTER_COLS = {
+  assignedToUPN: ['d.task_assigned_upn', 'd.raw_assigned_upn'],
+  accountCode: 'd.account_code',
+  activity: 'd.task_activity',
+  parentType: `(SELECT fl.parent_type FROM public.tfs_task_hours_latest fl
+    WHERE fl.task_id = d.task_id)`,
+  parentId: 'd.parent_id',
+  taskId: 'd.task_id',
+  delta: 'd.delta_hours',
+};
+
+const LATEST_FILTER_COLS = {
+  assignedToUPN: ['l.task_assigned_upn', 'p.canonical_upn'],
+  accountCode: 'l.account_code',
+  activity: 'l.task_activity',
+  parentType: 'l.parent_type',
+  parentId: 'l.parent_id',
+  taskId: 'l.task_id',
+  delta: null,
+};
+
+// "AND ..." fragments for a parseHoursFilters() result; appends to params.
+function hoursFilterSql(f, params, cols = DELTA_FILTER_COLS) {
+  const filters = [];
+  const ref = (v) => {
+    params.push(v);
+    return `$${params.length}`;
+  };
+
+  for (const [name, kind] of Object.entries(HOURS_LIST_FILTERS)) {
+    for (const exclude of [false, true]) {
+      const values = (exclude ? f.exclude : f.include)[name];
+      if (!values) continue;
+      const col = cols[name];
+      let match;
+      if (name === 'assignedToUPN') {
+        const p = ref(values.map((v) => `%${v}%`));
+        match = col
+          .map((c) => `COALESCE(${c},'') ILIKE ANY(${p}::text[])`)
+          .join(' OR ');
+      } else if (kind === 'id') {
+        const ids = values.filter((v) => v !== null);
+        const parts = [];
+        if (ids.length) parts.push(`${col} = ANY(${ref(ids)}::int[])`);
+        if (ids.length < values.length) parts.push(`${col} IS NULL`);
+        match = parts.join(' OR ');
+      } else {
+        match = `lower(${col}) = ANY(${ref(
+          values.map((v) => v.toLowerCase())
+        )}::text[])`;
+      }
+      // NULLs never match a text/id list, so NOT (...) must treat them as false
+      filters.push(
+        exclude ? `AND NOT COALESCE(${match}, false)` : `AND (${match})`
+      );
+    }
+  }
+
+  if (cols.delta) {
+    if (f.minDelta !== null)
+      filters.push(`AND ${cols.delta} >= ${ref(f.minDelta)}`);
+    if (f.maxDelta !== null)
+      filters.push(`AND ${cols.delta} <= ${ref(f.maxDelta)}`);
+  }
+  return filters;
+}
+
+// True when a person passes the assignedToUPN include / exclude lists, for
+// reports that list people without a delta row (missing time).
+function personMatchesFilters(f, ...identities) {
+  const hit = (needles) =>
+    needles.some((n) =>
+      identities.some((id) =>
+        String(id ?? '')
+          .toLowerCase()
+          .includes(n.toLowerCase())
+      )
+    );
+  const inc = f.include.assignedToUPN;
+  const exc = f.exclude.assignedToUPN;
+  return (!inc || hit(inc)) && (!exc || !hit(exc));
+}
+
+// Resolves ?team= (team id or name, case-insensitive) to
+// { teamId, scopeTeamIds, excludeTeamIds }, or { status, error }. teamId is
+// null when no team was asked for; scopeTeamIds limits managers to their
+// own teams; ?excludeTeam= (list) drops members of those teams.
+async function resolveTeamParam(req) {
+  const scope = scopeTeamIds(req);
+  const raw = (req.query.team || '').toString().trim();
+  const excluded = queryList(req, 'excludeTeam');
+
+  const lookup = async (names) => {
+    const r = await pool.query(
+      `SELECT team_id, n FROM public.tfs_teams
+       JOIN unnest($1::text[]) n
+         ON team_id::text = n OR lower(name) = lower(n)`,
+      [names]
+    );
+    const ids = new Map(r.rows.map((x) => [x.n, Number(x.team_id)]));
+    const unknown = names.find((n) => !ids.has(n));
+    return unknown
+      ? { error: `unknown team: ${unknown}` }
+      : { ids: names.map((n) => ids.get(n)) };
+  };
+
+  let excludeTeamIds = null;
+  if (excluded.length) {
+    const x = await lookup(excluded);
+    if (x.error) return { status: 400, error: x.error };
+    excludeTeamIds = x.ids;
+  }
+  if (!raw) return { teamId: null, scopeTeamIds: scope, excludeTeamIds };
+
+  const t = await lookup([raw]);
+  if (t.error) return { status: 400, error: t.error };
+  const teamId = t.ids[0];
+  if (scope && !scope.includes(teamId))
+    return { status: 403, error: `team not allowed: ${raw}` };
+  return { teamId, scopeTeamIds: scope, excludeTeamIds };
+}
+
+// True when membership row `m` covers d's person on the change's calendar
+// day in tzRef (a $n placeholder holding the report time zone). The member
+// may be listed under any alias of the person.
+function teamMemberMatchSql(m, tzRef) {
+  return `${memberIsPersonSql(m, 'd.task_assigned_upn', 'd.person_id')}
+    AND (d.changed_at AT TIME ZONE ${tzRef})::date
+      BETWEEN COALESCE(${m}.effective_from, '-infinity'::date)
+          AND COALESCE(${m}.effective_to, 'infinity'::date)`;
+}
+
+// True when membership row `m` names the given identity (upnExpr) or, via
+// the alias table, the same person (personIdExpr).
+function memberIsPersonSql(m, upnExpr, personIdExpr) {
+  return `(public.tfs_identity_key(${m}.member_upn) = public.tfs_identity_key(${upnExpr})
+    OR EXISTS (
+      SELECT 1 FROM public.tfs_person_aliases ma
+      WHERE ma.person_id = ${personIdExpr}
+        AND ma.alias_key = public.tfs_identity_key(${m}.member_upn)
+    ))`;
+}
+
+// Team filters on the delta stream "d" for a resolveTeamParam() result:
+// the requested team, for managers any of their teams, and none of the
+// excluded teams.
+function teamFilter(team, params, tz) {
   const filters = [];
-  if (assignedToUPN) {
-    idx += 1;
-    params.push(`%${assignedToUPN}%`);
-    filters.push(`AND COALESCE(d.task_assigned_upn,'') ILIKE $${idx}`);
+  if (team.teamId !== null) {
+    params.push(team.teamId, tz);
+    filters.push(
+      `AND EXISTS (
+        SELECT 1 FROM public.tfs_team_members tm
+        WHERE tm.team_id = $${params.length - 1}
+          AND ${teamMemberMatchSql('tm', `$${params.length}`)}
+      )`
+    );
+  }
+  if (team.scopeTeamIds) {
+    params.push(team.scopeTeamIds, tz);
+    filters.push(
+      `AND EXISTS (
+        SELECT 1 FROM public.tfs_team_members sm
+        WHERE sm.team_id = ANY($${params.length - 1}::bigint[])
+          AND ${teamMemberMatchSql('sm', `$${params.length}`)}
+      )`
+    );
+  }
+  if (team.excludeTeamIds) {
+    params.push(team.excludeTeamIds, tz);
+    filters.push(
+      `AND NOT EXISTS (
+        SELECT 1 FROM public.tfs_team_members xm
+        WHERE xm.team_id = ANY($${params.length - 1}::bigint[])
+          AND ${teamMemberMatchSql('xm', `$${params.length}`)}
+      )`
+    );
+  }
+  return filters;
+}
+
+// ---------- Hours summary (delta-based; supports negative corrections) ----------
+// groupBy= dimensions, in the order given. `cols` are [sql, key, label]
+// grouped on; `aggs` are looked up per group. Keys are the row / CSV column
+// names; `order` sorts rows within a bucket.
+const SUMMARY_DIMENSIONS = {
+  person: {
+    cols: [
+      ['d.task_assigned_to', 'assignedTo', 'AssignedTo'],
+      ['d.task_assigned_upn', 'assignedToUPN', 'AssignedToUPN'],
+    ],
+    order: '"assignedTo" ASC',
+  },
+  account: {
+    cols: [
+      ['d.account_code', 'accountCode', 'Account code'],
+      ['ac.name', 'accountName', 'Account name'],
+      ['ac.billable', 'billable', 'Billable'],
+    ],
+    order: '"accountCode" ASC',
+  },
+  activity: {
+    cols: [['d.task_activity', 'activity', 'Activity']],
+    order: '"activity" ASC',
+  },
+  parentType: {
+    cols: [['l.parent_type', 'parentType', 'Parent type']],
+    order: '"parentType" ASC',
+  },
+  parent: {
+    cols: [['d.parent_id', 'parentId', 'Parent']],
+    aggs: [['MAX(l.parent_title)', 'parentTitle', 'Parent title']],
+    order: '"parentId" ASC',
+  },
+  // A person in two teams on the same day counts toward both.
+  team: {
+    cols: [
+      ['tm.team_id', 'teamId', null],
+      ['tm.name', 'team', 'Team'],
+    ],
+    order: '"team" ASC NULLS LAST',
+  },
+};
+const DEFAULT_SUMMARY_GROUP_BY = ['person', 'account'];
+const SUMMARY_BUCKETS = ['day', 'week', 'month', 'none'];
+
+// Reads ?groupBy= (comma-separated dimensions). Returns { error } or
+// { dims } (defaults to person + account).
+function parseSummaryGroupBy(req) {
+  const raw = queryList(req, 'groupBy');
+  if (!raw.length) return { dims: DEFAULT_SUMMARY_GROUP_BY };
+  const byLower = new Map(
+    Object.keys(SUMMARY_DIMENSIONS).map((k) => [k.toLowerCase(), k])
+  );
+  const dims = [];
+  for (const v of raw) {
+    const dim = byLower.get(v.toLowerCase());
+    if (!dim)
+      return {
+        error: `groupBy must be a list of ${Object.keys(
+          SUMMARY_DIMENSIONS
+        ).join(', ')}`,
+      };
+    if (!dims.includes(dim)) dims.push(dim);
+  }
+  return { dims };
+}
+
+// Output columns for dims: [{ key, label }] in row order (hours excluded).
+function summaryColumns(dims) {
+  return dims.flatMap((dim) =>
+    [...SUMMARY_DIMENSIONS[dim].cols, ...(SUMMARY_DIMENSIONS[dim].aggs || [])]
+      .filter(([, , label]) => label)
+      .map(([, key, label]) => ({ key, label, dim }))
+  );
+}
+
+// Builds the summary query shared by /api/hours/summary and the exports.
+// Returns { error, status? } or
+// { sql, params, bucket, groupBy, columns, tz, fromStr, toStr }; bucket
+// "none" drops the bucket column (totals over the whole range).
+async function buildSummaryQuery(req) {
+  const bucketRaw = (req.query.bucket || 'day').toString().trim().toLowerCase();
+  const bucket = SUMMARY_BUCKETS.includes(bucketRaw) ? bucketRaw : 'day';
+
+  const gb = parseSummaryGroupBy(req);
+  if (gb.error) return { error: gb.error };
+  const groupBy = gb.dims;
+
+  const rng = parseReportRange(req);
+  if (rng.error) return { error: rng.error };
+  const hf = parseHoursFilters(req);
+  if (hf.error) return { error: hf.error };
+  const { tz } = rng;
+
+  const team = await resolveTeamParam(req);
+  if (team.error) return { status: team.status, error: team.error };
+
+  const params = [rng.fromUtc.toISOString(), rng.toExclusiveUtc.toISOString()];
+  // tz is only bound when a bucket or the team dimension needs it; unused
+  // parameters make Postgres reject the statement
+  let tzRef = null;
+  const tzParam = () => {
+    if (!tzRef) {
+      params.push(tz);
+      tzRef = `$${params.length}`;
+    }
+    return tzRef;
+  };
+
+  // optional filters
+  const filters = hoursFilterSql(hf, params);
+  filters.push(...teamFilter(team, params, tz));
+
+  const select = [];
+  const grouped = [];
+  if (bucket !== 'none') {
+    // bucket start = local midnight (or week/month start) in tz, as timestamptz
+    params.push(bucket);
+    const b = `$${params.length}`;
+    const z = tzParam();
+    select.push(
+      `(date_trunc(${b}, d.changed_at AT TIME ZONE ${z}) AT TIME ZONE ${z}) AS bucket`
+    );
+    grouped.push(select.length);
+  }
+  for (const dim of groupBy) {
+    for (const [expr, key] of SUMMARY_DIMENSIONS[dim].cols) {
+      select.push(`${expr} AS "${key}"`);
+      grouped.push(select.length);
+    }
+  }
+  for (const dim of groupBy) {
+    for (const [expr, key] of SUMMARY_DIMENSIONS[dim].aggs || [])
+      select.push(`${expr} AS "${key}"`);
   }
-  if (Number.isFinite(accountCode)) {
-    idx += 1;
-    params.push(accountCode);
-    filters.push(`AND d.account_code = $${idx}`);
+  select.push('SUM(d.delta_hours) AS "hours"');
+
+  const joins = [];
+  if (groupBy.includes('account'))
+    joins.push(
+      'LEFT JOIN public.tfs_account_codes ac ON ac.account_code = d.account_code'
+    );
+  if (groupBy.includes('parentType') || groupBy.includes('parent'))
+    joins.push(
+      'LEFT JOIN public.tfs_task_hours_latest l ON l.task_id = d.task_id'
+    );
+  if (groupBy.includes('team')) {
+    let onlyTeam = '';
+    if (team.teamId !== null) {
+      params.push(team.teamId);
+      onlyTeam = `AND tt.team_id = $${params.length}`;
+    } else if (team.scopeTeamIds) {
+      params.push(team.scopeTeamIds);
+      onlyTeam = `AND tt.team_id = ANY($${params.length}::bigint[])`;
+    }
+    joins.push(`
+      LEFT JOIN LATERAL (
+        SELECT tt.team_id, tt.name
+        FROM public.tfs_team_members m
+        JOIN public.tfs_teams tt ON tt.team_id = m.team_id
+        WHERE ${teamMemberMatchSql('m', tzParam())}
+          ${onlyTeam}
+      ) tm ON TRUE`);
   }
 
+  const order = [
+    ...(bucket !== 'none' ? ['bucket ASC'] : []),
+    ...groupBy.map((dim) => SUMMARY_DIMENSIONS[dim].order),
+  ];
+
   const sql = `
-  WITH snaps AS (
-    -- Deduplicate by (task_id, effective change time) taking the latest snapshot per change
-    SELECT DISTINCT ON (task_id, COALESCE(task_changed_date, snapshot_at))
-      task_id,
-      snapshot_at,
-      COALESCE(task_changed_date, snapshot_at) AS t,
-      task_assigned_upn,
-      task_assigned_to,
-      account_code,
-      COALESCE(task_actual_hours, 0) AS h
-    FROM public.tfs_task_hours_snapshots
-    ORDER BY task_id, COALESCE(task_changed_date, snapshot_at), snapshot_at DESC, run_id DESC
-  ),
-  prior AS (
-    SELECT DISTINCT ON (task_id)
-      task_id, snapshot_at, t, task_assigned_upn, task_assigned_to, account_code, h
-    FROM snaps
-    WHERE t < $1::timestamptz
-    ORDER BY task_id, t DESC, snapshot_at DESC
-  ),
-  inrange AS (
-    SELECT
-      task_id, snapshot_at, t, task_assigned_upn, task_assigned_to, account_code, h
-    FROM snaps
-    WHERE t >= $1::timestamptz AND t < $2::timestamptz
-  ),
-  s AS (
-    SELECT * FROM prior
-    UNION ALL
-    SELECT * FROM inrange
-  ),
-  w AS (
+    WITH ${deltaEntriesCte()}
     SELECT
-      task_id, snapshot_at, t, task_assigned_upn, task_assigned_to, account_code, h,
-      LAG(h) OVER (PARTITION BY task_id ORDER BY t, snapshot_at) AS prev_h
-    FROM s
-  ),
-  d AS (
-    SELECT
-      (date_trunc($3, t + ($4 || ' minutes')::interval) - ($4 || ' minutes')::interval) AS bucket,
-      task_assigned_upn,
-      task_assigned_to,
-      account_code,
-      (h - COALESCE(prev_h, 0)) AS delta_h
-    FROM w
-    WHERE t >= $1::timestamptz AND t < $2::timestamptz
-  )
-  SELECT
+      ${select.join(',\n      ')}
+    FROM d
+    ${joins.join('\n    ')}
+    WHERE 1=1
+      ${filters.join('\n ')}
+    ${grouped.length ? `GROUP BY ${grouped.join(',')}` : ''}
+    ORDER BY ${order.length ? order.join(', ') : '1'};
+  `;
+
+  return {
+    sql,
+    params,
     bucket,
-    task_assigned_upn AS "assignedToUPN",
-    task_assigned_to  AS "assignedTo",
-    account_code      AS "accountCode",
-    SUM(delta_h)      AS "hours"
-  FROM d
-  WHERE 1=1
-    ${filters.join('\n ')}
-  GROUP BY 1,2,3,4
-  ORDER BY 1 ASC, 3 ASC;
-`;
+    groupBy,
+    columns: summaryColumns(groupBy),
+    tz,
+    fromStr: rng.fromStr,
+    toStr: rng.toStr,
+  };
+}
 
+app.get('/api/hours/summary', async (req, res) => {
   try {
-    const r = await pool.query(sql, params);
+    const q = await buildSummaryQuery(req);
+    if (q.error)
+      return res.status(q.status || 400).json({ ok: false, error: q.error });
+
+    const r = await pool.query(q.sql, q.params);
     res.json({
       ok: true,
-      bucket,
-      from: fromStr,
-      to: toStr,
+      bucket: q.bucket,
+      groupBy: q.groupBy,
+      columns: q.columns,
+      from: q.fromStr,
+      to: q.toStr,
+      tz: q.tz,
       rows: r.rows,
     });
   } catch (e) {
@@ -520,131 +1974,32 @@ app.get('/api/hours/summary', async (req, res) => {
 });
 
 // ---------- Entries (by Date Changed) ----------
-app.get('/api/hours/entries', async (req, res) => {
-  const fromStr = (req.query.from || '').toString().trim(); // YYYY-MM-DD
-  const toStr = (req.query.to || '').toString().trim(); // YYYY-MM-DD inclusive
-  if (!fromStr || !toStr) {
-    return res
-      .status(400)
-      .json({ ok: false, error: 'from and to required (YYYY-MM-DD)' });
-  }
-
-  const offsetMin = getReportOffsetMinutes(); // PST = -480
-  const rng = rangeFromToUtc(fromStr, toStr, offsetMin);
-  if (!rng) {
-    return res.status(400).json({ ok: false, error: 'invalid from/to date' });
-  }
-  const from = rng.fromUtc;
-  const toExclusive = rng.toExclusiveUtc;
-
-  const assignedToUPN = (req.query.assignedToUPN || '').toString().trim();
-  const accountCodeRaw = (req.query.accountCode || '').toString().trim();
-  const accountCode = accountCodeRaw ? Number(accountCodeRaw) : null;
-
-  const limit = Math.min(5000, Math.max(1, Number(req.query.limit || 500)));
-  const offset = Math.max(0, Number(req.query.offset || 0));
+// Builds the entries query shared by /api/hours/entries and the exports.
+// Returns { error, status } or { sql, params, tz, fromStr, toStr }; a null
+// limit returns every row. `count` adds total_count (the full match count),
+// which makes Postgres materialize the whole result first.
+async function buildEntriesQuery(
+  req,
+  { limit = null, offset = 0, count = true } = {}
+) {
+  const rng = parseReportRange(req);
+  if (rng.error) return { status: 400, error: rng.error };
+  const hf = parseHoursFilters(req);
+  if (hf.error) return { status: 400, error: hf.error };
+  const { tz } = rng;
 
-  const params = [from.toISOString(), toExclusive.toISOString()];
-  let idx = params.length;
+  const team = await resolveTeamParam(req);
+  if (team.error) return { status: team.status, error: team.error };
 
-  const filters = [];
-  if (assignedToUPN) {
-    idx += 1;
-    params.push(`%${assignedToUPN}%`);
-    filters.push(`AND COALESCE(d.task_assigned_upn,'') ILIKE $${idx}`);
-  }
-  if (Number.isFinite(accountCode)) {
-    idx += 1;
-    params.push(accountCode);
-    filters.push(`AND d.account_code = $${idx}`);
-  }
+  const params = [rng.fromUtc.toISOString(), rng.toExclusiveUtc.toISOString()];
+  const filters = hoursFilterSql(hf, params);
+  filters.push(...teamFilter(team, params, tz));
 
-  idx += 1;
-  params.push(limit);
-  idx += 1;
-  params.push(offset);
+  params.push(limit, offset);
+  const idx = params.length;
 
   const sql = `
-    WITH snaps AS (
-      -- Deduplicate by (task_id, effective change time); keep the latest snapshot per change
-      SELECT DISTINCT ON (s.task_id, COALESCE(s.task_changed_date, s.snapshot_at))
-        s.run_id,
-        s.snapshot_at,
-        COALESCE(s.task_changed_date, s.snapshot_at) AS t,
-        s.task_id,
-        s.task_assigned_upn,
-        s.task_assigned_to,
-        s.task_activity,
-        COALESCE(s.task_actual_hours, 0) AS h,
-        s.parent_id,
-        s.account_code
-      FROM public.tfs_task_hours_snapshots s
-      ORDER BY s.task_id, COALESCE(s.task_changed_date, s.snapshot_at), s.snapshot_at DESC, s.run_id DESC
-    ),
-    prior AS (
-      SELECT DISTINCT ON (task_id)
-        task_id, snapshot_at, t, h
-      FROM snaps
-      WHERE t < $1::timestamptz
-      ORDER BY task_id, t DESC, snapshot_at DESC
-    ),
-    inrange AS (
-      SELECT *
-      FROM snaps
-      WHERE t >= $1::timestamptz AND t < $2::timestamptz
-    ),
-    s AS (
-      SELECT
-        NULL::bigint AS run_id,
-        p.snapshot_at,
-        p.t,
-        p.task_id,
-        NULL::text AS task_assigned_upn,
-        NULL::text AS task_assigned_to,
-        NULL::text AS task_activity,
-        p.h,
-        NULL::int  AS parent_id,
-        NULL::int  AS account_code,
-        TRUE AS is_prior
-      FROM prior p
-      UNION ALL
-      SELECT
-        i.run_id,
-        i.snapshot_at,
-        i.t,
-        i.task_id,
-        i.task_assigned_upn,
-        i.task_assigned_to,
-        i.task_activity,
-        i.h,
-        i.parent_id,
-        i.account_code,
-        FALSE AS is_prior
-      FROM inrange i
-    ),
-    w AS (
-      SELECT
-        *,
-        LAG(h) OVER (PARTITION BY task_id ORDER BY t, snapshot_at) AS prev_h
-      FROM s
-    ),
-    d AS (
-      SELECT
-        run_id,
-        snapshot_at,
-        t AS changed_at,
-        task_id,
-        task_assigned_upn,
-        task_assigned_to,
-        task_activity,
-        COALESCE(prev_h, 0) AS prev_hours,
-        h AS actual_hours,
-        (h - COALESCE(prev_h, 0)) AS delta_hours,
-        parent_id,
-        account_code
-      FROM w
-      WHERE is_prior = FALSE
-    )
+    WITH ${deltaEntriesCte()}
     SELECT
       d.changed_at,
       d.snapshot_at,
@@ -660,17 +2015,31 @@ app.get('/api/hours/entries', async (req, res) => {
       l.parent_type,
       l.parent_title,
       d.account_code,
-      COUNT(*) OVER() AS total_count
+      ac.name AS account_name,
+      ac.billable
+      ${count ? ', COUNT(*) OVER() AS total_count' : ''}
     FROM d
     LEFT JOIN public.tfs_task_hours_latest l ON l.task_id = d.task_id
+    LEFT JOIN public.tfs_account_codes ac ON ac.account_code = d.account_code
     WHERE 1=1
       ${filters.join('\n ')}
     ORDER BY d.changed_at ASC, d.task_id ASC
     LIMIT $${idx - 1} OFFSET $${idx};
   `;
 
+  return { sql, params, tz, fromStr: rng.fromStr, toStr: rng.toStr };
+}
+
+app.get('/api/hours/entries', async (req, res) => {
+  const limit = Math.min(5000, Math.max(1, Number(req.query.limit || 500)));
+  const offset = Math.max(0, Number(req.query.offset || 0));
+
   try {
-    const r = await pool.query(sql, params);
+    const q = await buildEntriesQuery(req, { limit, offset });
+    if (q.error)
+      return res.status(q.status).json({ ok: false, error: q.error });
+
+    const r = await pool.query(q.sql, q.params);
     const total = r.rows.length ? Number(r.rows[0].total_count) : 0;
     const rows = r.rows.map(({ total_count, ...rest }) => rest);
     res.json({ ok: true, total, rows });
@@ -679,157 +2048,464 @@ app.get('/api/hours/entries', async (req, res) => {
   }
 });
 
-// ---------- CSV export ----------
-function csvEscape(v) {
-  if (v === null || v === undefined) return '';
-  const s = String(v);
-  if (/[,"\r\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
-  return s;
+const ENTRIES_EXPORT_FORMATS = ['csv', 'ndjson'];
+const ENTRIES_EXPORT_BATCH = 1000;
+const ENTRIES_EXPORT_COLUMNS = [
+  'changed_at',
+  'snapshot_at',
+  'task_id',
+  'task_title',
+  'task_activity',
+  'task_assigned_to',
+  'task_assigned_upn',
+  'prev_hours',
+  'actual_hours',
+  'delta_hours',
+  'parent_id',
+  'parent_type',
+  'parent_title',
+  'account_code',
+  'account_name',
+  'billable',
+];
+
+function entryCsvLine(x) {
+  return ENTRIES_EXPORT_COLUMNS.map((c) =>
+    csvEscape(x[c] instanceof Date ? x[c].toISOString() : x[c])
+  ).join(',');
 }
 
-app.get('/api/hours/export.csv', async (req, res) => {
-  // just call JSON endpoint internally by reusing the same query logic:
-  // easiest way: do a direct fetch in JS; but server-side is cleaner.
-  // We'll replicate the query call by hitting /api/hours/summary logic quickly:
-  const bucket = (req.query.bucket || 'day').toString().trim();
-  const from = (req.query.from || '').toString().trim();
-  const to = (req.query.to || '').toString().trim();
-  const assignedToUPN = (req.query.assignedToUPN || '').toString().trim();
-  const accountCode = (req.query.accountCode || '').toString().trim();
-
-  // run the same SQL by invoking pool query via a small local function:
-  // simplest: duplicate minimal code:
-  const bucketRaw = bucket.toLowerCase();
-  const bucketAllowed = new Set(['day', 'week', 'month']);
-  const unit = bucketAllowed.has(bucketRaw) ? bucketRaw : 'day';
-
-  if (!from || !to) return res.status(400).send('from/to required');
-
-  const offsetMin = getReportOffsetMinutes(); // PST = -480
-  const rng = rangeFromToUtc(from, to, offsetMin);
-  if (!rng) return res.status(400).send('invalid from/to');
-
-  const fromD = rng.fromUtc;
-  const toExclusive = rng.toExclusiveUtc;
+// Streams every matching entry (same filters as /api/hours/entries) as CSV
+// or NDJSON. Rows come from a server-side cursor in batches, and each batch
+// waits for the response to drain, so memory use does not grow with the
+// range. A failure after the first byte can only abort the response.
+app.get('/api/hours/entries/export', async (req, res) => {
+  const format = (req.query.format || 'csv').toString().trim().toLowerCase();
+  if (!ENTRIES_EXPORT_FORMATS.includes(format))
+    return res
+      .status(400)
+      .send(`format must be one of ${ENTRIES_EXPORT_FORMATS.join(', ')}`);
+
+  let q;
+  try {
+    q = await buildEntriesQuery(req, { count: false });
+  } catch (e) {
+    return res.status(500).send(String(e?.message || e));
+  }
+  if (q.error) return res.status(q.status).send(q.error);
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+  const write = (chunk) =>
+    res.write(chunk) || closed
+      ? Promise.resolve()
+      : new Promise((resolve) => {
+          res.once('drain', resolve);
+          res.once('close', resolve);
+        });
+
+  const client = await pool.connect();
+  let started = false;
+  try {
+    await client.query('BEGIN READ ONLY');
+    await client.query(
+      `DECLARE entries_export NO SCROLL CURSOR FOR ${q.sql.replace(
+        /;\s*$/,
+        ''
+      )}`,
+      q.params
+    );
+
+    res.setHeader(
+      'Content-Type',
+      format === 'csv'
+        ? 'text/csv; charset=utf-8'
+        : 'application/x-ndjson; charset=utf-8'
+    );
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename=tfs_entries_${q.fromStr}_${q.toStr}.${format}`
+    );
+    started = true;
+    if (format === 'csv') await write(ENTRIES_EXPORT_COLUMNS.join(',') + '\n');
+
+    while (!closed) {
+      const r = await client.query(
+        `FETCH ${ENTRIES_EXPORT_BATCH} FROM entries_export`
+      );
+      if (!r.rows.length) break;
+      const chunk = r.rows
+        .map((x) => (format === 'csv' ? entryCsvLine(x) : JSON.stringify(x)))
+        .join('\n');
+      await write(chunk + '\n');
+    }
+
+    await client.query('COMMIT');
+    res.end();
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (started) res.destroy(e);
+    else res.status(500).send(String(e?.message || e));
+  } finally {
+    client.release();
+  }
+});
+
+// ---------- Anomalies ----------
+// Defaults for /api/hours/anomalies; each can be overridden per request.
+const ANOMALY_DEFAULTS = {
+  maxDelta: Number(process.env.ANOMALY_MAX_DELTA_HOURS) || 12,
+  maxDaily: Number(process.env.ANOMALY_MAX_DAILY_HOURS) || 12,
+  workStart: Number(process.env.ANOMALY_WORK_START_HOUR ?? 7),
+  workEnd: Number(process.env.ANOMALY_WORK_END_HOUR ?? 20),
+};
+
+// Thresholds from the query string. Returns { error } or the thresholds.
+function parseAnomalyThresholds(req) {
+  const out = {};
+  for (const [k, def] of Object.entries(ANOMALY_DEFAULTS)) {
+    const raw = (req.query[k] ?? '').toString().trim();
+    const v = raw === '' ? def : Number(raw);
+    if (!Number.isFinite(v) || v < 0) return { error: `invalid ${k}` };
+    out[k] = v;
+  }
+  if (out.workStart > 24 || out.workEnd > 24 || out.workStart >= out.workEnd)
+    return {
+      error: 'workStart/workEnd must be hours with 0 <= start < end <= 24',
+    };
+  return out;
+}
+
+// Scans the same delta stream as /api/hours/entries for:
+// - large: |delta| above maxDelta
+// - negative: any negative delta
+// - weekend / odd_hours: non-zero delta whose change time (report tz) is on
+//   Sat/Sun or outside [workStart, workEnd)
+// and, per person and local day, net hours above maxDaily.
+app.get('/api/hours/anomalies', async (req, res) => {
+  const rng = parseReportRange(req);
+  if (rng.error) return res.status(400).json({ ok: false, error: rng.error });
+  const hf = parseHoursFilters(req);
+  if (hf.error) return res.status(400).json({ ok: false, error: hf.error });
+
+  const th = parseAnomalyThresholds(req);
+  if (th.error) return res.status(400).json({ ok: false, error: th.error });
+
+  const limit = Math.min(5000, Math.max(1, Number(req.query.limit || 500)));
+
+  let team;
+  try {
+    team = await resolveTeamParam(req);
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+  if (team.error)
+    return res.status(team.status).json({ ok: false, error: team.error });
 
   const params = [
-    fromD.toISOString(),
-    toExclusive.toISOString(),
-    unit,
-    offsetMin,
+    rng.fromUtc.toISOString(),
+    rng.toExclusiveUtc.toISOString(),
+    rng.tz,
   ];
-  let idx = params.length;
+  const filters = hoursFilterSql(hf, params);
+  filters.push(...teamFilter(team, params, rng.tz));
+  const cte = `
+    WITH ${deltaEntriesCte()},
+    e AS (
+      SELECT d.*, (d.changed_at AT TIME ZONE $3) AS local_at
+      FROM d
+      WHERE 1=1
+        ${filters.join('\n ')}
+    )`;
 
-  const filters = [];
-  if (assignedToUPN) {
-    idx += 1;
-    params.push(`%${assignedToUPN}%`);
-    filters.push(`AND COALESCE(d.task_assigned_upn,'') ILIKE $${idx}`);
+  const entryParams = [...params, th.maxDelta, th.workStart, th.workEnd, limit];
+  const n = params.length;
+  const entriesSql = `
+    ${cte},
+    f AS (
+      SELECT e.*,
+        abs(e.delta_hours) > $${n + 1} AS large,
+        e.delta_hours < 0 AS negative,
+        e.delta_hours <> 0 AND EXTRACT(ISODOW FROM e.local_at) IN (6, 7) AS weekend,
+        e.delta_hours <> 0 AND (
+          EXTRACT(HOUR FROM e.local_at) + EXTRACT(MINUTE FROM e.local_at) / 60.0 < $${
+            n + 2
+          }
+          OR EXTRACT(HOUR FROM e.local_at) + EXTRACT(MINUTE FROM e.local_at) / 60.0 >= $${
+            n + 3
+          }
+        ) AS odd_hours
+      FROM e
+    )
+    SELECT
+      f.changed_at,
+      f.task_id,
+      l.task_title,
+      f.task_activity,
+      f.task_assigned_to,
+      f.task_assigned_upn,
+      f.prev_hours,
+      f.actual_hours,
+      f.delta_hours,
+      f.parent_id,
+      l.parent_type,
+      l.parent_title,
+      f.account_code,
+      f.large,
+      f.negative,
+      f.weekend,
+      f.odd_hours,
+      COUNT(*) OVER() AS total_count
+    FROM f
+    LEFT JOIN public.tfs_task_hours_latest l ON l.task_id = f.task_id
+    WHERE f.large OR f.negative OR f.weekend OR f.odd_hours
+    ORDER BY abs(f.delta_hours) DESC, f.changed_at ASC
+    LIMIT $${n + 4};
+  `;
+
+  const daysSql = `
+    ${cte}
+    SELECT
+      to_char(e.local_at, 'YYYY-MM-DD') AS day,
+      e.task_assigned_upn AS "assignedToUPN",
+      MAX(e.task_assigned_to) AS "assignedTo",
+      SUM(e.delta_hours) AS hours,
+      COUNT(*)::int AS entries
+    FROM e
+    GROUP BY 1, 2
+    HAVING SUM(e.delta_hours) > $${n + 1}
+    ORDER BY 1 ASC, 4 DESC;
+  `;
+
+  try {
+    const r = await pool.query(entriesSql, entryParams);
+    const days = await pool.query(daysSql, [...params, th.maxDaily]);
+
+    const total = r.rows.length ? Number(r.rows[0].total_count) : 0;
+    const entries = r.rows.map(
+      ({ total_count, large, negative, weekend, odd_hours, ...rest }) => ({
+        ...rest,
+        reasons: [
+          large && 'large',
+          negative && 'negative',
+          weekend && 'weekend',
+          odd_hours && 'odd_hours',
+        ].filter(Boolean),
+      })
+    );
+
+    res.json({
+      ok: true,
+      from: rng.fromStr,
+      to: rng.toStr,
+      tz: rng.tz,
+      thresholds: th,
+      total,
+      entries,
+      days: days.rows,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// ---------- Timesheet (person × day pivot) ----------
+const TIMESHEET_MAX_DAYS = 93;
+
+// Inclusive list of "YYYY-MM-DD" calendar days from..to.
+function ymdRange(fromStr, toStr) {
+  const a = parseYmd(fromStr);
+  const b = parseYmd(toStr);
+  if (!a || !b) return [];
+  const out = [];
+  const end = Date.UTC(b.y, b.mo - 1, b.d);
+  for (let ms = Date.UTC(a.y, a.mo - 1, a.d); ms <= end; ms += 86400 * 1000) {
+    out.push(new Date(ms).toISOString().slice(0, 10));
   }
+  return out;
+}
 
-  const ac = accountCode ? Number(accountCode) : null;
-  if (Number.isFinite(ac)) {
-    idx += 1;
-    params.push(ac);
-    filters.push(`AND d.account_code = $${idx}`);
+// Runs the timesheet query for req and pivots it. Returns either
+// { error, status } or the response body (without ok).
+async function buildTimesheet(req) {
+  const rng = parseReportRange(req);
+  if (rng.error) return { status: 400, error: rng.error };
+  const hf = parseHoursFilters(req);
+  if (hf.error) return { status: 400, error: hf.error };
+  const { fromStr, toStr, tz } = rng;
+
+  const days = ymdRange(fromStr, toStr);
+  if (!days.length) return { status: 400, error: 'to must not be before from' };
+  if (days.length > TIMESHEET_MAX_DAYS) {
+    return {
+      status: 400,
+      error: `range too long (max ${TIMESHEET_MAX_DAYS} days)`,
+    };
   }
 
+  // optional sub-rows under each person: account code or activity
+  const subRaw = (req.query.subRows || '').toString().trim().toLowerCase();
+  const subRows = ['account', 'activity'].includes(subRaw) ? subRaw : null;
+  const subExpr =
+    subRows === 'account'
+      ? "concat_ws(' · ', d.account_code::text, ac.name)"
+      : subRows === 'activity'
+      ? 'd.task_activity'
+      : 'NULL::text';
+
+  const params = [
+    rng.fromUtc.toISOString(),
+    rng.toExclusiveUtc.toISOString(),
+    tz,
+  ];
+  const team = await resolveTeamParam(req);
+  if (team.error) return { status: team.status, error: team.error };
+  const filters = hoursFilterSql(hf, params);
+  filters.push(...teamFilter(team, params, tz));
+
   const sql = `
-  WITH snaps AS (
-    -- Deduplicate by (task_id, effective change time) taking the latest snapshot per change
-    SELECT DISTINCT ON (task_id, COALESCE(task_changed_date, snapshot_at))
-      task_id,
-      snapshot_at,
-      COALESCE(task_changed_date, snapshot_at) AS t,
-      task_assigned_upn,
-      task_assigned_to,
-      account_code,
-      COALESCE(task_actual_hours, 0) AS h
-    FROM public.tfs_task_hours_snapshots
-    ORDER BY task_id, COALESCE(task_changed_date, snapshot_at), snapshot_at DESC, run_id DESC
-  ),
-  prior AS (
-    SELECT DISTINCT ON (task_id)
-      task_id, snapshot_at, t, task_assigned_upn, task_assigned_to, account_code, h
-    FROM snaps
-    WHERE t < $1::timestamptz
-    ORDER BY task_id, t DESC, snapshot_at DESC
-  ),
-  inrange AS (
+    WITH ${deltaEntriesCte()}
     SELECT
-      task_id, snapshot_at, t, task_assigned_upn, task_assigned_to, account_code, h
-    FROM snaps
-    WHERE t >= $1::timestamptz AND t < $2::timestamptz
-  ),
-  s AS (
-    SELECT * FROM prior
-    UNION ALL
-    SELECT * FROM inrange
-  ),
-  w AS (
-    SELECT
-      task_id, snapshot_at, t, task_assigned_upn, task_assigned_to, account_code, h,
-      LAG(h) OVER (PARTITION BY task_id ORDER BY t, snapshot_at) AS prev_h
-    FROM s
-  ),
-  d AS (
-    SELECT
-      (date_trunc($3, t + ($4 || ' minutes')::interval) - ($4 || ' minutes')::interval) AS bucket,
-
-      task_assigned_upn,
-      task_assigned_to,
-      account_code,
-      (h - COALESCE(prev_h, 0)) AS delta_h
-    FROM w
-    WHERE t >= $1::timestamptz AND t < $2::timestamptz
-  )
-  SELECT
-    bucket,
-    task_assigned_upn AS "assignedToUPN",
-    task_assigned_to  AS "assignedTo",
-    account_code      AS "accountCode",
-    SUM(delta_h)      AS "hours"
-  FROM d
-  WHERE 1=1
-    ${filters.join('\n ')}
-  GROUP BY 1,2,3,4
-  ORDER BY 1 ASC, 3 ASC;
-`;
+      to_char(d.changed_at AT TIME ZONE $3, 'YYYY-MM-DD') AS day,
+      d.task_assigned_upn AS "assignedToUPN",
+      d.task_assigned_to  AS "assignedTo",
+      ${subExpr}          AS sub,
+      SUM(d.delta_hours)  AS hours
+    FROM d
+    LEFT JOIN public.tfs_account_codes ac ON ac.account_code = d.account_code
+    WHERE 1=1
+      ${filters.join('\n ')}
+    GROUP BY 1,2,3,4
+  `;
+
+  const r = await pool.query(sql, params);
+
+  const dayIndex = new Map(days.map((d, i) => [d, i]));
+  const emptyCells = () => days.map(() => null);
+  const addCell = (cells, i, h) => {
+    cells[i] = (cells[i] ?? 0) + h;
+  };
+
+  const people = new Map();
+  const dayTotals = emptyCells();
+  let total = 0;
+
+  for (const x of r.rows) {
+    const i = dayIndex.get(x.day);
+    if (i === undefined) continue;
+    const h = Number(x.hours || 0);
+
+    const key = x.assignedToUPN || x.assignedTo || '';
+    let p = people.get(key);
+    if (!p) {
+      p = {
+        assignedToUPN: x.assignedToUPN,
+        assignedTo: x.assignedTo,
+        hours: emptyCells(),
+        total: 0,
+        sub: subRows ? new Map() : null,
+      };
+      people.set(key, p);
+    }
+    if (!p.assignedTo && x.assignedTo) p.assignedTo = x.assignedTo;
+
+    addCell(p.hours, i, h);
+    p.total += h;
+    addCell(dayTotals, i, h);
+    total += h;
 
+    if (p.sub) {
+      const sk = x.sub ?? '';
+      let sr = p.sub.get(sk);
+      if (!sr) {
+        sr = { key: x.sub ?? null, hours: emptyCells(), total: 0 };
+        p.sub.set(sk, sr);
+      }
+      addCell(sr.hours, i, h);
+      sr.total += h;
+    }
+  }
+
+  const byLabel = (a, b) =>
+    String(a).localeCompare(String(b), undefined, { numeric: true });
+  const rows = Array.from(people.values())
+    .sort((a, b) =>
+      byLabel(
+        a.assignedTo || a.assignedToUPN || '',
+        b.assignedTo || b.assignedToUPN || ''
+      )
+    )
+    .map((p) => ({
+      ...p,
+      sub: p.sub
+        ? Array.from(p.sub.values()).sort((a, b) =>
+            byLabel(a.key ?? '', b.key ?? '')
+          )
+        : undefined,
+    }));
+
+  return {
+    from: fromStr,
+    to: toStr,
+    tz,
+    subRows,
+    days,
+    rows,
+    dayTotals,
+    total,
+  };
+}
+
+app.get('/api/hours/timesheet', async (req, res) => {
   try {
-    const r = await pool.query(sql, params);
+    const t = await buildTimesheet(req);
+    if (t.error)
+      return res.status(t.status).json({ ok: false, error: t.error });
+    res.json({ ok: true, ...t });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.get('/api/hours/timesheet.csv', async (req, res) => {
+  try {
+    const t = await buildTimesheet(req);
+    if (t.error) return res.status(t.status).send(t.error);
 
     res.setHeader('Content-Type', 'text/csv; charset=utf-8');
     res.setHeader(
       'Content-Disposition',
-      'attachment; filename=tfs_hours_summary.csv'
+      `attachment; filename=tfs_timesheet_${t.from}_${t.to}.csv`
     );
 
-    const headers = [
-      'bucket',
-      'assignedTo',
-      'assignedToUPN',
-      'accountCode',
-      'hours',
-    ];
-
-    res.write(headers.join(',') + '\n');
-
-    for (const row of r.rows) {
-      const line = [
-        row.bucket?.toISOString?.()
-          ? row.bucket.toISOString().slice(0, 10)
-          : row.bucket,
-        row.assignedTo,
-        row.assignedToUPN,
-        row.accountCode,
-        row.hours,
-      ]
+    const fmt = (h) => (h === null ? '' : Number(h.toFixed(2)));
+    const headers = ['assignedTo', 'assignedToUPN'];
+    if (t.subRows) headers.push(t.subRows);
+    headers.push(...t.days, 'total');
+    res.write(headers.map(csvEscape).join(',') + '\n');
 
-        .map(csvEscape)
-        .join(',');
-      res.write(line + '\n');
+    const line = (cols) => res.write(cols.map(csvEscape).join(',') + '\n');
+    for (const p of t.rows) {
+      const lead = [p.assignedTo, p.assignedToUPN];
+      line([
+        ...lead,
+        ...(t.subRows ? [''] : []),
+        ...p.hours.map(fmt),
+        fmt(p.total),
+      ]);
+      for (const sr of p.sub || []) {
+        line([...lead, sr.key, ...sr.hours.map(fmt), fmt(sr.total)]);
+      }
     }
+    line([
+      'Total',
+      '',
+      ...(t.subRows ? [''] : []),
+      ...t.dayTotals.map(fmt),
+      fmt(t.total),
+    ]);
 
     res.end();
   } catch (e) {
@@ -837,9 +2513,3852 @@ app.get('/api/hours/export.csv', async (req, res) => {
   }
 });
 
-// ---------- Static UI ----------
-app.use('/', express.static(path.join(__dirname, 'public')));
+// ---------- Missing time (working calendar) ----------
+const MISSING_ACTIVE_WEEKS = Number(process.env.MISSING_ACTIVE_WEEKS) || 4;
+const MISSING_EXPECTED = ['active', 'roster'];
+
+async function loadWorkCalendar(db) {
+  const r = await db.query(
+    `SELECT workdays, expected_hours AS "expectedHours"
+     FROM public.tfs_work_calendar WHERE id`
+  );
+  const c = r.rows[0] || { workdays: [1, 2, 3, 4, 5], expectedHours: 8 };
+  return { workdays: c.workdays.map(Number), expectedHours: c.expectedHours };
+}
+
+// ISO weekday (1 = Monday … 7 = Sunday) of a "YYYY-MM-DD" day.
+function ymdIsoWeekday(ymd) {
+  const p = parseYmd(ymd);
+  return ((new Date(Date.UTC(p.y, p.mo - 1, p.d)).getUTCDay() + 6) % 7) + 1;
+}
+
+// Expected people keyed by identityKey(), each with the set of report days
+// they are expected on (null = every working day).
+//  - roster: members of the requested team (managers: their teams; else all
+//    teams), on the days their membership is effective, minus anyone in an
+//    excluded team during the range;
+//  - active: anyone with a non-zero delta in the `weeks` weeks ending on `to`.
+async function loadExpectedPeople(rng, team, expected, weeks) {
+  const people = new Map();
+  const add = (upn, name, days) => {
+    const key = identityKey(upn);
+    if (!key) return;
+    let p = people.get(key);
+    if (!p) {
+      p = { assignedToUPN: upn, assignedTo: name || null, days: new Set() };
+      people.set(key, p);
+    }
+    if (!p.assignedTo && name) p.assignedTo = name;
+    if (days === null) p.days = null;
+    else if (p.days) for (const d of days) p.days.add(d);
+  };
+
+  if (expected === 'roster') {
+    const r = await pool.query(
+      `SELECT DISTINCT
+         COALESCE(p.canonical_upn, m.member_upn) AS upn,
+         p.display_name,
+         to_char(m.effective_from, 'YYYY-MM-DD') AS "effectiveFrom",
+         to_char(m.effective_to, 'YYYY-MM-DD') AS "effectiveTo"
+       FROM public.tfs_team_members m
+       LEFT JOIN public.tfs_person_aliases a
+         ON a.alias_key = public.tfs_identity_key(m.member_upn)
+       LEFT JOIN public.tfs_people p ON p.person_id = a.person_id
+       WHERE ($1::bigint IS NULL OR m.team_id = $1)
+         AND ($2::bigint[] IS NULL OR m.team_id = ANY($2))
+         AND COALESCE(m.effective_from, '-infinity'::date) <= $4::date
+         AND COALESCE(m.effective_to, 'infinity'::date) >= $3::date
+         AND ($5::bigint[] IS NULL OR NOT EXISTS (
+           SELECT 1 FROM public.tfs_team_members xm
+           WHERE xm.team_id = ANY($5)
+             AND ${memberIsPersonSql('xm', 'm.member_upn', 'a.person_id')}
+             AND COALESCE(xm.effective_from, '-infinity'::date) <= $4::date
+             AND COALESCE(xm.effective_to, 'infinity'::date) >= $3::date
+         ))`,
+      [
+        team.teamId,
+        team.scopeTeamIds,
+        rng.fromStr,
+        rng.toStr,
+        team.excludeTeamIds,
+      ]
+    );
+    for (const x of r.rows) {
+      const days = ymdRange(
+        x.effectiveFrom && x.effectiveFrom > rng.fromStr
+          ? x.effectiveFrom
+          : rng.fromStr,
+        x.effectiveTo && x.effectiveTo < rng.toStr ? x.effectiveTo : rng.toStr
+      );
+      add(x.upn, x.display_name, days);
+    }
+    return people;
+  }
+
+  const activeFrom = localMidnightToUtcDate(
+    dayNumberYmd(ymdDayNumber(rng.toStr) - weeks * 7 + 1),
+    rng.tz
+  );
+  const params = [activeFrom.toISOString(), rng.toExclusiveUtc.toISOString()];
+  const filters = teamFilter(team, params, rng.tz);
+  const r = await pool.query(
+    `WITH ${deltaEntriesCte()}
+     SELECT d.task_assigned_upn AS upn, MAX(d.task_assigned_to) AS name
+     FROM d
+     WHERE d.delta_hours <> 0
+       ${filters.join('\n ')}
+     GROUP BY 1`,
+    params
+  );
+  for (const x of r.rows) add(x.upn, x.name, null);
+  return people;
+}
+
+// Builds the missing-time report for req. Returns either { error, status }
+// or the response body (without ok): one row per expected person and
+// working day whose net hours are below minHours. Holidays, days off per
+// the calendar's workdays, the person's leave and days after today (report
+// tz) are not working days.
+async function buildMissingReport(req) {
+  const rng = parseReportRange(req);
+  if (rng.error) return { status: 400, error: rng.error };
+  const hf = parseHoursFilters(req);
+  if (hf.error) return { status: 400, error: hf.error };
+
+  const allDays = ymdRange(rng.fromStr, rng.toStr);
+  if (!allDays.length) return { status: 400, error: 'from must be <= to' };
+  if (allDays.length > TIMESHEET_MAX_DAYS) {
+    return {
+      status: 400,
+      error: `range too long (max ${TIMESHEET_MAX_DAYS} days)`,
+    };
+  }
+
+  const expected = (req.query.expected || 'active').toString().trim();
+  if (!MISSING_EXPECTED.includes(expected))
+    return {
+      status: 400,
+      error: `expected must be one of ${MISSING_EXPECTED.join(', ')}`,
+    };
+  const weeksRaw = (req.query.activeWeeks ?? '').toString().trim();
+  const activeWeeks =
+    weeksRaw === '' ? MISSING_ACTIVE_WEEKS : normInt(weeksRaw);
+  if (activeWeeks === null || activeWeeks < 1 || activeWeeks > 52)
+    return { status: 400, error: 'activeWeeks must be 1..52' };
+
+  const team = await resolveTeamParam(req);
+  if (team.error) return team;
+
+  const cal = await loadWorkCalendar(pool);
+  const minRaw = (req.query.minHours ?? '').toString().trim();
+  const minHours = minRaw === '' ? cal.expectedHours : Number(minRaw);
+  if (!Number.isFinite(minHours) || minHours < 0)
+    return { status: 400, error: 'invalid minHours' };
+
+  const hol = await pool.query(
+    `SELECT to_char(holiday_date, 'YYYY-MM-DD') AS date, name
+     FROM public.tfs_holidays
+     WHERE holiday_date BETWEEN $1::date AND $2::date
+     ORDER BY holiday_date`,
+    [rng.fromStr, rng.toStr]
+  );
+  const holidays = new Set(hol.rows.map((x) => x.date));
+  const today = ymdInTz(new Date(), rng.tz);
+  const days = allDays.filter(
+    (d) =>
+      d <= today && cal.workdays.includes(ymdIsoWeekday(d)) && !holidays.has(d)
+  );
+
+  const people = await loadExpectedPeople(rng, team, expected, activeWeeks);
+  for (const [k, p] of people) {
+    if (!personMatchesFilters(hf, p.assignedToUPN)) people.delete(k);
+  }
+
+  const leave = await pool.query(
+    `SELECT
+       COALESCE(p.canonical_upn, l.person_upn) AS upn,
+       to_char(GREATEST(l.starts_on, $1::date), 'YYYY-MM-DD') AS "startsOn",
+       to_char(LEAST(l.ends_on, $2::date), 'YYYY-MM-DD') AS "endsOn"
+     FROM public.tfs_person_leave l
+     LEFT JOIN public.tfs_person_aliases a
+       ON a.alias_key = public.tfs_identity_key(l.person_upn)
+     LEFT JOIN public.tfs_people p ON p.person_id = a.person_id
+     WHERE l.starts_on <= $2::date AND l.ends_on >= $1::date`,
+    [rng.fromStr, rng.toStr]
+  );
+  const onLeave = new Set();
+  for (const x of leave.rows) {
+    for (const d of ymdRange(x.startsOn, x.endsOn))
+      onLeave.add(`${identityKey(x.upn)}|${d}`);
+  }
+
+  const params = [
+    rng.fromUtc.toISOString(),
+    rng.toExclusiveUtc.toISOString(),
+    rng.tz,
+  ];
+  const filters = hoursFilterSql(hf, params);
+  filters.push(...teamFilter(team, params, rng.tz));
+  const logged = await pool.query(
+    `WITH ${deltaEntriesCte()}
+     SELECT
+       to_char(d.changed_at AT TIME ZONE $3, 'YYYY-MM-DD') AS day,
+       d.task_assigned_upn AS upn,
+       MAX(d.task_assigned_to) AS name,
+       SUM(d.delta_hours) AS hours
+     FROM d
+     WHERE 1=1
+       ${filters.join('\n ')}
+     GROUP BY 1, 2`,
+    params
+  );
+  const hoursByKey = new Map();
+  for (const x of logged.rows) {
+    const p = people.get(identityKey(x.upn));
+    if (p && !p.assignedTo && x.name) p.assignedTo = x.name;
+    const k = `${identityKey(x.upn)}|${x.day}`;
+    hoursByKey.set(k, (hoursByKey.get(k) ?? 0) + Number(x.hours || 0));
+  }
+
+  const rows = [];
+  const byPerson = [];
+  const ordered = Array.from(people.entries()).sort(([, a], [, b]) =>
+    String(a.assignedTo || a.assignedToUPN).localeCompare(
+      String(b.assignedTo || b.assignedToUPN),
+      undefined,
+      { numeric: true }
+    )
+  );
+  for (const [key, p] of ordered) {
+    let missingDays = 0;
+    let shortBy = 0;
+    for (const day of days) {
+      if (p.days && !p.days.has(day)) continue;
+      if (onLeave.has(`${key}|${day}`)) continue;
+      const hours = hoursByKey.get(`${key}|${day}`) ?? 0;
+      if (hours >= minHours) continue;
+      rows.push({
+        day,
+        assignedToUPN: p.assignedToUPN,
+        assignedTo: p.assignedTo,
+        hours,
+        shortBy: minHours - hours,
+      });
+      missingDays += 1;
+      shortBy += minHours - hours;
+    }
+    if (missingDays)
+      byPerson.push({
+        assignedToUPN: p.assignedToUPN,
+        assignedTo: p.assignedTo,
+        missingDays,
+        shortBy,
+      });
+  }
+
+  return {
+    from: rng.fromStr,
+    to: rng.toStr,
+    tz: rng.tz,
+    expected,
+    activeWeeks: expected === 'active' ? activeWeeks : null,
+    minHours,
+    workdays: cal.workdays,
+    holidays: hol.rows,
+    workingDays: days,
+    people: people.size,
+    byPerson,
+    rows,
+  };
+}
+
+app.get('/api/hours/missing', async (req, res) => {
+  try {
+    const m = await buildMissingReport(req);
+    if (m.error)
+      return res.status(m.status).json({ ok: false, error: m.error });
+    res.json({ ok: true, ...m });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.get('/api/hours/missing.csv', async (req, res) => {
+  try {
+    const m = await buildMissingReport(req);
+    if (m.error) return res.status(m.status).send(m.error);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename=tfs_missing_${m.from}_${m.to}.csv`
+    );
+
+    const fmt = (h) => Number(h.toFixed(2));
+    const headers = [
+      'day',
+      'assignedTo',
+      'assignedToUPN',
+      'hours',
+      'expectedHours',
+      'shortBy',
+    ];
+    res.write(headers.map(csvEscape).join(',') + '\n');
+    for (const x of m.rows) {
+      const cols = [
+        x.day,
+        x.assignedTo,
+        x.assignedToUPN,
+        fmt(x.hours),
+        m.minHours,
+        fmt(x.shortBy),
+      ];
+      res.write(cols.map(csvEscape).join(',') + '\n');
+    }
+    res.end();
+  } catch (e) {
+    res.status(500).send(String(e?.message || e));
+  }
+});
+
+// ---------- Rollup by parent work item ----------
+const NO_PARENT = 'none';
+
+app.get('/api/hours/by-parent', async (req, res) => {
+  const rng = parseReportRange(req);
+  if (rng.error) return res.status(400).json({ ok: false, error: rng.error });
+  const hf = parseHoursFilters(req);
+  if (hf.error) return res.status(400).json({ ok: false, error: hf.error });
+
+  let team;
+  try {
+    team = await resolveTeamParam(req);
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+  if (team.error)
+    return res.status(team.status).json({ ok: false, error: team.error });
+
+  const params = [rng.fromUtc.toISOString(), rng.toExclusiveUtc.toISOString()];
+  const filters = hoursFilterSql(hf, params);
+  filters.push(...teamFilter(team, params, rng.tz));
+
+  // One row per (parent, person, activity); folded per parent below.
+  const sql = `
+    WITH ${deltaEntriesCte()}
+    SELECT
+      d.parent_id                  AS "parentId",
+      MAX(l.parent_type)           AS "parentType",
+      MAX(l.parent_title)          AS "parentTitle",
+      MAX(d.account_code)          AS "accountCode",
+      MAX(ac.name)                 AS "accountName",
+      d.task_assigned_upn          AS "assignedToUPN",
+      d.task_assigned_to           AS "assignedTo",
+      d.task_activity              AS activity,
+      SUM(d.delta_hours)           AS hours,
+      COUNT(*)                     AS entries,
+      array_agg(DISTINCT d.task_id) AS "taskIds"
+    FROM d
+    LEFT JOIN public.tfs_task_hours_latest l ON l.task_id = d.task_id
+    LEFT JOIN public.tfs_account_codes ac ON ac.account_code = d.account_code
+    WHERE 1=1
+      ${filters.join('\n ')}
+    GROUP BY d.parent_id, d.task_assigned_upn, d.task_assigned_to, d.task_activity
+  `;
+
+  try {
+    const r = await pool.query(sql, params);
+
+    const parents = new Map();
+    for (const x of r.rows) {
+      const key = x.parentId ?? NO_PARENT;
+      let p = parents.get(key);
+      if (!p) {
+        p = {
+          parentId: x.parentId,
+          parentType: x.parentType,
+          parentTitle: x.parentTitle,
+          accountCode: x.accountCode,
+          accountName: x.accountName,
+          hours: 0,
+          entries: 0,
+          tasks: new Set(),
+          byPerson: new Map(),
+          byActivity: new Map(),
+        };
+        parents.set(key, p);
+      }
+      p.parentType = p.parentType ?? x.parentType;
+      p.parentTitle = p.parentTitle ?? x.parentTitle;
+      p.accountCode = p.accountCode ?? x.accountCode;
+      p.accountName = p.accountName ?? x.accountName;
+
+      const h = Number(x.hours || 0);
+      p.hours += h;
+      p.entries += Number(x.entries || 0);
+      for (const t of x.taskIds || []) p.tasks.add(t);
+
+      const pk = x.assignedToUPN || x.assignedTo || '';
+      const person = p.byPerson.get(pk) || {
+        assignedToUPN: x.assignedToUPN,
+        assignedTo: x.assignedTo,
+        hours: 0,
+      };
+      person.hours += h;
+      p.byPerson.set(pk, person);
+
+      const ak = x.activity ?? '';
+      const act = p.byActivity.get(ak) || { activity: x.activity, hours: 0 };
+      act.hours += h;
+      p.byActivity.set(ak, act);
+    }
+
+    const byHours = (a, b) => b.hours - a.hours;
+    const rows = Array.from(parents.values())
+      .map(({ tasks, byPerson, byActivity, ...p }) => ({
+        ...p,
+        taskCount: tasks.size,
+        byPerson: Array.from(byPerson.values()).sort(byHours),
+        byActivity: Array.from(byActivity.values()).sort(byHours),
+      }))
+      .sort(byHours);
+
+    res.json({
+      ok: true,
+      from: rng.fromStr,
+      to: rng.toStr,
+      tz: rng.tz,
+      total: rows.reduce((acc, p) => acc + p.hours, 0),
+      rows,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// Drill-down: tasks under one parent ("none" = tasks without a parent),
+// each with its individual delta entries in the range.
+app.get('/api/hours/by-parent/:parentId', async (req, res) => {
+  const rng = parseReportRange(req);
+  if (rng.error) return res.status(400).json({ ok: false, error: rng.error });
+  const hf = parseHoursFilters(req);
+  if (hf.error) return res.status(400).json({ ok: false, error: hf.error });
+
+  const rawId = String(req.params.parentId || '').trim();
+  const parentId = rawId === NO_PARENT ? null : normInt(rawId);
+  if (rawId !== NO_PARENT && parentId === null) {
+    return res.status(400).json({ ok: false, error: 'invalid parentId' });
+  }
+
+  let team;
+  try {
+    team = await resolveTeamParam(req);
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+  if (team.error)
+    return res.status(team.status).json({ ok: false, error: team.error });
+
+  const params = [rng.fromUtc.toISOString(), rng.toExclusiveUtc.toISOString()];
+  const filters = hoursFilterSql(hf, params);
+  filters.push(...teamFilter(team, params, rng.tz));
+  if (parentId === null) {
+    filters.push('AND d.parent_id IS NULL');
+  } else {
+    params.push(parentId);
+    filters.push(`AND d.parent_id = $${params.length}`);
+  }
+
+  const sql = `
+    WITH ${deltaEntriesCte()}
+    SELECT
+      d.changed_at,
+      d.task_id,
+      l.task_title,
+      d.task_activity,
+      d.task_assigned_to,
+      d.task_assigned_upn,
+      d.prev_hours,
+      d.actual_hours,
+      d.delta_hours,
+      d.account_code
+    FROM d
+    LEFT JOIN public.tfs_task_hours_latest l ON l.task_id = d.task_id
+    WHERE 1=1
+      ${filters.join('\n ')}
+    ORDER BY d.task_id ASC, d.changed_at ASC
+    LIMIT 5000
+  `;
+
+  try {
+    const r = await pool.query(sql, params);
+
+    const tasks = new Map();
+    for (const x of r.rows) {
+      let t = tasks.get(x.task_id);
+      if (!t) {
+        t = {
+          taskId: x.task_id,
+          taskTitle: x.task_title,
+          activity: x.task_activity,
+          hours: 0,
+          entries: [],
+        };
+        tasks.set(x.task_id, t);
+      }
+      t.hours += Number(x.delta_hours || 0);
+      t.entries.push(x);
+    }
+
+    res.json({
+      ok: true,
+      parentId,
+      tasks: Array.from(tasks.values()).sort((a, b) => b.hours - a.hours),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// ---------- Period comparison ----------
+const COMPARE_MODES = ['previous', 'year'];
+// Row key and label columns per ?by= of /api/hours/compare.
+const COMPARE_BY = {
+  person: {
+    key: 'd.task_assigned_upn',
+    select: `
+      d.task_assigned_upn      AS "assignedToUPN",
+      MAX(d.task_assigned_to)  AS "assignedTo"`,
+    join: '',
+    keyOf: (x) => x.assignedToUPN ?? '',
+  },
+  account: {
+    key: 'd.account_code',
+    select: `
+      d.account_code           AS "accountCode",
+      MAX(ac.name)             AS "accountName"`,
+    join: 'LEFT JOIN public.tfs_account_codes ac ON ac.account_code = d.account_code',
+    keyOf: (x) => String(x.accountCode ?? 'none'),
+  },
+};
+
+// Same calendar day `years` earlier/later; Feb 29 falls back to Feb 28.
+function shiftYmdYears(ymd, years) {
+  const p = parseYmd(ymd);
+  if (!p) return null;
+  const y = p.y + years;
+  const lastDay = new Date(Date.UTC(y, p.mo, 0)).getUTCDate();
+  return `${String(y).padStart(4, '0')}-${String(p.mo).padStart(
+    2,
+    '0'
+  )}-${String(Math.min(p.d, lastDay)).padStart(2, '0')}`;
+}
+
+// Resolves the comparison range for rng: explicit ?compareFrom=&compareTo=,
+// or ?compare=previous (the same number of days right before from, default)
+// or ?compare=year (the same days one year earlier).
+// Returns { error } or { compare, fromStr, toStr, fromUtc, toExclusiveUtc }.
+function parseCompareRange(req, rng) {
+  const fromDay = ymdDayNumber(rng.fromStr);
+  const toDay = ymdDayNumber(rng.toStr);
+  if (toDay < fromDay) return { error: 'from must not be after to' };
+
+  const cFrom = (req.query.compareFrom || '').toString().trim();
+  const cTo = (req.query.compareTo || '').toString().trim();
+  let compare;
+  let fromStr;
+  let toStr;
+  if (cFrom || cTo) {
+    if (!cFrom || !cTo)
+      return { error: 'compareFrom and compareTo go together (YYYY-MM-DD)' };
+    compare = 'custom';
+    fromStr = cFrom;
+    toStr = cTo;
+  } else {
+    compare = (req.query.compare || 'previous').toString().trim();
+    if (!COMPARE_MODES.includes(compare))
+      return { error: `compare must be one of ${COMPARE_MODES.join(', ')}` };
+    if (compare === 'previous') {
+      fromStr = dayNumberYmd(fromDay - (toDay - fromDay + 1));
+      toStr = dayNumberYmd(fromDay - 1);
+    } else {
+      fromStr = shiftYmdYears(rng.fromStr, -1);
+      toStr = shiftYmdYears(rng.toStr, -1);
+    }
+  }
+
+  const c = rangeFromToUtc(fromStr, toStr, rng.tz);
+  if (!c) return { error: 'invalid compareFrom/compareTo date' };
+  if (ymdDayNumber(toStr) < ymdDayNumber(fromStr))
+    return { error: 'compareFrom must not be after compareTo' };
+  return { compare, fromStr, toStr, ...c };
+}
+
+// Net hours per row key in one range, with the shared filters applied.
+async function compareTotals(by, range, hf, team, tz) {
+  const params = [
+    range.fromUtc.toISOString(),
+    range.toExclusiveUtc.toISOString(),
+  ];
+  const filters = hoursFilterSql(hf, params);
+  filters.push(...teamFilter(team, params, tz));
+  const spec = COMPARE_BY[by];
+  const r = await pool.query(
+    `
+    WITH ${deltaEntriesCte()}
+    SELECT ${spec.select},
+      SUM(d.delta_hours) AS hours
+    FROM d
+    ${spec.join}
+    WHERE 1=1
+      ${filters.join('\n ')}
+    GROUP BY ${spec.key}
+    `,
+    params
+  );
+  return r.rows;
+}
+
+// Percent change from `before` to `after`; null when there is no baseline.
+function pctChange(before, after) {
+  if (!before) return null;
+  return Number((((after - before) / Math.abs(before)) * 100).toFixed(1));
+}
+
+app.get('/api/hours/compare', async (req, res) => {
+  const rng = parseReportRange(req);
+  if (rng.error) return res.status(400).json({ ok: false, error: rng.error });
+  const cmp = parseCompareRange(req, rng);
+  if (cmp.error) return res.status(400).json({ ok: false, error: cmp.error });
+  const by = (req.query.by || 'person').toString().trim();
+  if (!COMPARE_BY[by])
+    return res.status(400).json({
+      ok: false,
+      error: `by must be one of ${Object.keys(COMPARE_BY).join(', ')}`,
+    });
+  const hf = parseHoursFilters(req);
+  if (hf.error) return res.status(400).json({ ok: false, error: hf.error });
+
+  try {
+    const team = await resolveTeamParam(req);
+    if (team.error)
+      return res.status(team.status).json({ ok: false, error: team.error });
+
+    const current = await compareTotals(by, rng, hf, team, rng.tz);
+    const previous = await compareTotals(by, cmp, hf, team, rng.tz);
+
+    // A row is "new" when it has no entries in the comparison range and
+    // "dropped" when it has none in the current one.
+    const keyOf = COMPARE_BY[by].keyOf;
+    const rows = new Map();
+    const rowFor = (x) => {
+      const k = keyOf(x);
+      let row = rows.get(k);
+      if (!row) {
+        const { hours, ...labels } = x;
+        row = {
+          ...labels,
+          hours: 0,
+          compareHours: 0,
+          inCurrent: false,
+          inCompare: false,
+        };
+        rows.set(k, row);
+      }
+      return row;
+    };
+    for (const x of current) {
+      const row = rowFor(x);
+      row.hours = Number(x.hours || 0);
+      row.inCurrent = true;
+    }
+    for (const x of previous) {
+      const row = rowFor(x);
+      row.compareHours = Number(x.hours || 0);
+      row.inCompare = true;
+      // prefer the display name from the current range when both exist
+      for (const [k, v] of Object.entries(x))
+        if (k !== 'hours') row[k] = row[k] ?? v;
+    }
+
+    const fmt = (h) => Number(h.toFixed(2));
+    const out = Array.from(rows.values())
+      .map(({ inCurrent, inCompare, ...row }) => ({
+        ...row,
+        hours: fmt(row.hours),
+        compareHours: fmt(row.compareHours),
+        change: fmt(row.hours - row.compareHours),
+        changePct: pctChange(row.compareHours, row.hours),
+        status: !inCompare ? 'new' : !inCurrent ? 'dropped' : 'both',
+      }))
+      .sort(
+        (a, b) =>
+          Math.abs(b.change) - Math.abs(a.change) ||
+          String(a.assignedTo ?? a.accountCode ?? '').localeCompare(
+            String(b.assignedTo ?? b.accountCode ?? ''),
+            undefined,
+            { numeric: true }
+          )
+      );
+
+    const hours = out.reduce((n, x) => n + x.hours, 0);
+    const compareHours = out.reduce((n, x) => n + x.compareHours, 0);
+    res.json({
+      ok: true,
+      by,
+      compare: cmp.compare,
+      from: rng.fromStr,
+      to: rng.toStr,
+      compareFrom: cmp.fromStr,
+      compareTo: cmp.toStr,
+      tz: rng.tz,
+      totals: {
+        hours: fmt(hours),
+        compareHours: fmt(compareHours),
+        change: fmt(hours - compareHours),
+        changePct: pctChange(compareHours, hours),
+        newCount: out.filter((x) => x.status === 'new').length,
+        droppedCount: out.filter((x) => x.status === 'dropped').length,
+      },
+      rows: out,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// ---------- CSV export ----------
+function csvEscape(v) {
+  if (v === null || v === undefined) return '';
+  const s = String(v);
+  if (/[,"\r\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
+  return s;
+}
+
+// CSV lines (header first) for a buildSummaryQuery result.
+function summaryCsvLines(q, rows) {
+  const columns = [...q.columns.map((c) => c.key), 'hours'];
+  const withBucket = q.bucket !== 'none';
+  return [
+    [...(withBucket ? ['bucket'] : []), ...columns].join(','),
+    ...rows.map((row) =>
+      [
+        ...(withBucket
+          ? [row.bucket ? ymdInTz(row.bucket, q.tz) : row.bucket]
+          : []),
+        ...columns.map((c) => row[c]),
+      ]
+        .map(csvEscape)
+        .join(',')
+    ),
+  ];
+}
+
+app.get('/api/hours/export.csv', async (req, res) => {
+  try {
+    const q = await buildSummaryQuery(req);
+    if (q.error) return res.status(q.status || 400).send(q.error);
+
+    const r = await pool.query(q.sql, q.params);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader(
+      'Content-Disposition',
+      'attachment; filename=tfs_hours_summary.csv'
+    );
+
+    for (const line of summaryCsvLines(q, r.rows)) res.write(line + '\n');
+    res.end();
+  } catch (e) {
+    res.status(500).send(String(e?.message || e));
+  }
+});
+
+// ---------- XLSX export ----------
+const XLSX_MAX_ENTRIES = Number(process.env.XLSX_MAX_ENTRIES) || 100000;
+// Cell type/width per summary column key (see SUMMARY_DIMENSIONS).
+const XLSX_SUMMARY_COLUMNS = {
+  assignedTo: { width: 24 },
+  assignedToUPN: { width: 28 },
+  accountCode: { type: 'number' },
+  accountName: { width: 24 },
+  activity: { width: 14 },
+  parentType: { width: 14 },
+  parentId: { type: 'number' },
+  parentTitle: { width: 40 },
+  team: { width: 24 },
+};
+
+function workItemUrl(id) {
+  if (!TFS_WORKITEM_URL_TEMPLATE || id === null || id === undefined)
+    return null;
+  return TFS_WORKITEM_URL_TEMPLATE.replace(
+    '{id}',
+    encodeURIComponent(String(id))
+  );
+}
+
+// An instant as a Date whose UTC fields are the wall-clock time in tz, which
+// is what the XLSX writer expects for date cells.
+function wallClockDate(v, tz) {
+  const ms = new Date(v).getTime();
+  return new Date(ms + tzOffsetMinutesAt(ms, tz) * 60000);
+}
+
+function numOrNull(v) {
+  return v === null || v === undefined ? null : Number(v);
+}
+
+// Workbook with the dashboard's summary rows, the entries in range and a
+// person (or team) × bucket pivot; same query parameters as export.csv.
+app.get('/api/hours/export.xlsx', async (req, res) => {
+  try {
+    const q = await buildSummaryQuery(req);
+    if (q.error) return res.status(q.status || 400).send(q.error);
+    const eq = await buildEntriesQuery(req, { limit: XLSX_MAX_ENTRIES });
+    if (eq.error) return res.status(eq.status).send(eq.error);
+
+    const summary = await pool.query(q.sql, q.params);
+    const entries = await pool.query(eq.sql, eq.params);
+    const tz = q.tz;
+    const bucketDay = (b) => (b ? ymdInTz(b, tz) : null);
+    const hasBucket = q.bucket !== 'none';
+    const cell = (col, x) =>
+      XLSX_SUMMARY_COLUMNS[col.key]?.type === 'number'
+        ? numOrNull(x[col.key])
+        : x[col.key];
+    const columnSpec = (col) => ({
+      header: col.label,
+      ...(XLSX_SUMMARY_COLUMNS[col.key] || {}),
+    });
+
+    const summarySheet = {
+      name: 'Summary',
+      columns: [
+        ...(hasBucket ? [{ header: 'Bucket', type: 'date', width: 12 }] : []),
+        ...q.columns.map(columnSpec),
+        { header: 'Hours', type: 'hours' },
+      ],
+      rows: summary.rows.map((x) => [
+        ...(hasBucket ? [bucketDay(x.bucket)] : []),
+        ...q.columns.map((col) => cell(col, x)),
+        numOrNull(x.hours),
+      ]),
+    };
+
+    const link = (id) => {
+      const href = workItemUrl(id);
+      return href ? { text: String(id), href } : numOrNull(id);
+    };
+    const entriesRows = entries.rows.map((x) => [
+      wallClockDate(x.changed_at, tz),
+      link(x.task_id),
+      x.task_title,
+      x.task_activity,
+      x.task_assigned_to,
+      x.task_assigned_upn,
+      numOrNull(x.prev_hours),
+      numOrNull(x.actual_hours),
+      numOrNull(x.delta_hours),
+      x.parent_id === null ? null : link(x.parent_id),
+      x.parent_type,
+      x.parent_title,
+      numOrNull(x.account_code),
+      x.account_name,
+      x.billable,
+    ]);
+    const total = entries.rows.length ? Number(entries.rows[0].total_count) : 0;
+    if (total > entries.rows.length) {
+      entriesRows.push([
+        null,
+        null,
+        `Truncated: ${entries.rows.length} of ${total} entries (XLSX_MAX_ENTRIES)`,
+      ]);
+    }
+    const entriesSheet = {
+      name: 'Entries',
+      freeze: { rows: 1, cols: 2 },
+      columns: [
+        { header: `Changed (${tz})`, type: 'datetime', width: 17 },
+        { header: 'Task ID' },
+        { header: 'Task title', width: 40 },
+        { header: 'Activity', width: 14 },
+        { header: 'AssignedTo', width: 24 },
+        { header: 'AssignedToUPN', width: 28 },
+        { header: 'Previous hours', type: 'hours' },
+        { header: 'ActualHours', type: 'hours' },
+        { header: 'Hours Δ', type: 'hours' },
+        { header: 'Parent' },
+        { header: 'Parent type', width: 14 },
+        { header: 'Parent title', width: 40 },
+        { header: 'Account code', type: 'number' },
+        { header: 'Account name', width: 24 },
+        { header: 'Billable' },
+      ],
+      rows: entriesRows,
+    };
+
+    // Pivot: one row per value of the first groupBy dimension, one column
+    // per bucket.
+    const leadDim = q.groupBy[0];
+    const leadName = leadDim[0].toUpperCase() + leadDim.slice(1);
+    const leadCols = q.columns.filter((col) => col.dim === leadDim);
+    const keyCols = SUMMARY_DIMENSIONS[leadDim].cols.map(([, key]) => key);
+    const buckets = hasBucket
+      ? Array.from(new Set(summary.rows.map((x) => bucketDay(x.bucket)))).sort()
+      : [];
+    const bucketIndex = new Map(buckets.map((b, i) => [b, i]));
+    const pivot = new Map();
+    for (const x of summary.rows) {
+      const key = JSON.stringify(keyCols.map((k) => x[k] ?? null));
+      let p = pivot.get(key);
+      if (!p) {
+        p = {
+          lead: leadCols.map((col) => cell(col, x)),
+          hours: buckets.map(() => null),
+          total: 0,
+        };
+        pivot.set(key, p);
+      }
+      // Aggregated columns (parent title) may differ between rows.
+      leadCols.forEach((col, i) => {
+        if (p.lead[i] === null || p.lead[i] === undefined)
+          p.lead[i] = cell(col, x);
+      });
+      const h = Number(x.hours || 0);
+      if (hasBucket) {
+        const i = bucketIndex.get(bucketDay(x.bucket));
+        p.hours[i] = (p.hours[i] ?? 0) + h;
+      }
+      p.total += h;
+    }
+    if (leadDim === 'team') {
+      for (const p of pivot.values()) p.lead[0] = p.lead[0] || '(no team)';
+    }
+    const pivotRows = Array.from(pivot.values()).sort((a, b) =>
+      String(a.lead[0] ?? '').localeCompare(
+        String(b.lead[0] ?? ''),
+        undefined,
+        {
+          numeric: true,
+        }
+      )
+    );
+    const pivotSheet = {
+      name: hasBucket ? `${leadName} x bucket` : `By ${leadName}`,
+      freeze: { rows: 1, cols: leadCols.length },
+      columns: [
+        ...leadCols.map(columnSpec),
+        ...buckets.map((b) => ({ header: b, type: 'hours', width: 11 })),
+        { header: 'Total', type: 'hours' },
+      ],
+      rows: [
+        ...pivotRows.map((p) => [...p.lead, ...p.hours, p.total]),
+        [
+          'Total',
+          ...leadCols.slice(1).map(() => null),
+          ...buckets.map((_, i) =>
+            pivotRows.reduce((n, p) => n + (p.hours[i] ?? 0), 0)
+          ),
+          pivotRows.reduce((n, p) => n + p.total, 0),
+        ],
+      ],
+    };
+
+    const buf = buildWorkbook([summarySheet, entriesSheet, pivotSheet]);
+    res.setHeader(
+      'Content-Type',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    );
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename=tfs_hours_${q.fromStr}_${q.toStr}.xlsx`
+    );
+    res.send(buf);
+  } catch (e) {
+    res.status(500).send(String(e?.message || e));
+  }
+});
+
+// ---------- Saved views ----------
+// Relative date ranges a view can use instead of fixed from/to. Each maps
+// today (day number plus calendar year/month, report TZ) to inclusive
+// { from, to } day numbers.
+function dayOf(y, mo, d) {
+  return Date.UTC(y, mo - 1, d) / 86400000;
+}
+// Day number of this ISO week's Monday; 1970-01-01 was a Thursday.
+function mondayOf(day) {
+  return day - ((day + 3) % 7);
+}
+const RELATIVE_RANGES = {
+  last7Days: ({ day }) => ({ from: day - 6, to: day }),
+  last30Days: ({ day }) => ({ from: day - 29, to: day }),
+  thisWeek: ({ day }) => ({ from: mondayOf(day), to: day }),
+  lastWeek: ({ day }) => ({ from: mondayOf(day) - 7, to: mondayOf(day) - 1 }),
+  thisMonth: ({ day, y, mo }) => ({ from: dayOf(y, mo, 1), to: day }),
+  lastMonth: ({ y, mo }) => ({
+    from: dayOf(y, mo - 1, 1),
+    to: dayOf(y, mo, 1) - 1,
+  }),
+  thisQuarter: ({ day, y, mo }) => ({
+    from: dayOf(y, mo - ((mo - 1) % 3), 1),
+    to: day,
+  }),
+  lastQuarter: ({ y, mo }) => ({
+    from: dayOf(y, mo - ((mo - 1) % 3) - 3, 1),
+    to: dayOf(y, mo - ((mo - 1) % 3), 1) - 1,
+  }),
+  yearToDate: ({ day, y }) => ({ from: dayOf(y, 1, 1), to: day }),
+  lastYear: ({ y }) => ({ from: dayOf(y - 1, 1, 1), to: dayOf(y, 1, 1) - 1 }),
+};
+
+// Resolves a RELATIVE_RANGES key for "today" in tz. Returns { from, to }
+// (YYYY-MM-DD) or null for an unknown key.
+function resolveRelativeRange(key, tz, now = new Date()) {
+  const fn = RELATIVE_RANGES[key];
+  if (!fn) return null;
+  const today = ymdInTz(now, tz);
+  const { y, mo } = parseYmd(today);
+  const r = fn({ day: ymdDayNumber(today), y, mo });
+  return { from: dayNumberYmd(r.from), to: dayNumberYmd(r.to) };
+}
+
+// Query parameters a view may store: the shared hours filters plus the
+// dashboard's range, grouping and entries limit.
+const VIEW_PARAM_NAMES = new Set([
+  'from',
+  'to',
+  'tz',
+  'bucket',
+  'groupBy',
+  'team',
+  'excludeTeam',
+  'minDelta',
+  'maxDelta',
+  'limit',
+  ...Object.keys(HOURS_LIST_FILTERS).flatMap((n) => [
+    n,
+    `exclude${n[0].toUpperCase()}${n.slice(1)}`,
+  ]),
+]);
+const VIEW_PARAM_MAX_LENGTH = 2000;
+
+const VIEW_COLS = `
+  v.view_id                              AS "viewId",
+  v.name,
+  v.owner_user_id                        AS "ownerUserId",
+  COALESCE(u.display_name, u.username)   AS "owner",
+  v.params,
+  v.date_range                           AS "range",
+  v.created_at                           AS "createdAt",
+  v.updated_at                           AS "updatedAt"
+`;
+
+// Validates a view body. `partial` allows omitting fields (PUT).
+function parseViewBody(body, partial) {
+  const b = body || {};
+  const out = {};
+  if (!partial || b.name !== undefined) {
+    const name = typeof b.name === 'string' ? b.name.trim() : '';
+    if (!name) return { error: 'name required' };
+    if (name.length > 200) return { error: 'name too long' };
+    out.name = name;
+  }
+  if (!partial || b.params !== undefined) {
+    const params = b.params ?? {};
+    if (typeof params !== 'object' || Array.isArray(params))
+      return { error: 'params must be an object' };
+    const clean = {};
+    for (const [k, v] of Object.entries(params)) {
+      if (!VIEW_PARAM_NAMES.has(k)) return { error: `unknown param "${k}"` };
+      const list = Array.isArray(v) ? v : [v];
+      if (
+        !list.every(
+          (x) => typeof x === 'string' && x.length <= VIEW_PARAM_MAX_LENGTH
+        )
+      )
+        return { error: `param "${k}" must be a string or list of strings` };
+      if (list.some((x) => x.trim())) clean[k] = v;
+    }
+    out.params = clean;
+  }
+  if (b.range !== undefined) {
+    if (b.range !== null && b.range !== '' && !RELATIVE_RANGES[b.range])
+      return {
+        error: `range must be one of ${Object.keys(RELATIVE_RANGES).join(
+          ', '
+        )}`,
+      };
+    out.date_range = b.range || null;
+  }
+  // a relative range replaces any stored from/to
+  if (out.date_range && out.params) {
+    delete out.params.from;
+    delete out.params.to;
+  }
+  return { value: out };
+}
+
+// The query a view stands for today: its params with a relative range
+// resolved to from/to in the view's (or the report) time zone.
+function viewQuery(view, now = new Date()) {
+  const q = { ...view.params };
+  if (view.range) {
+    const tz = isValidTimeZone(q.tz) ? q.tz : REPORT_TZ;
+    Object.assign(q, resolveRelativeRange(view.range, tz, now));
+  }
+  return q;
+}
+
+function canEditView(req, ownerUserId) {
+  if (req.user.role === 'admin') return true;
+  return (
+    req.user.userId !== null &&
+    ownerUserId !== null &&
+    String(req.user.userId) === String(ownerUserId)
+  );
+}
+
+function viewOut(req, x) {
+  return {
+    ...x,
+    query: viewQuery(x),
+    canEdit: canEditView(req, x.ownerUserId),
+  };
+}
+
+function sendViewError(res, e) {
+  if (e?.code === '23505')
+    return res
+      .status(409)
+      .json({ ok: false, error: 'a view with that name already exists' });
+  res.status(500).json({ ok: false, error: String(e?.message || e) });
+}
+
+// Every signed-in user sees every view; only its owner (or an admin) may
+// change or delete it.
+app.get('/api/views', async (req, res) => {
+  try {
+    const r = await pool.query(
+      `SELECT ${VIEW_COLS}
+       FROM public.tfs_saved_views v
+       LEFT JOIN public.tfs_users u ON u.user_id = v.owner_user_id
+       ORDER BY lower(v.name), v.view_id`
+    );
+    res.json({
+      ok: true,
+      ranges: Object.keys(RELATIVE_RANGES),
+      rows: r.rows.map((x) => viewOut(req, x)),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post('/api/views', async (req, res) => {
+  const p = parseViewBody(req.body, false);
+  if (p.error) return res.status(400).json({ ok: false, error: p.error });
+  const v = p.value;
+
+  try {
+    const r = await pool.query(
+      `WITH v AS (
+         INSERT INTO public.tfs_saved_views(name, owner_user_id, params, date_range)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *
+       )
+       SELECT ${VIEW_COLS}
+       FROM v
+       LEFT JOIN public.tfs_users u ON u.user_id = v.owner_user_id`,
+      [v.name, req.user.userId, v.params, v.date_range ?? null]
+    );
+    res.status(201).json({ ok: true, row: viewOut(req, r.rows[0]) });
+  } catch (e) {
+    sendViewError(res, e);
+  }
+});
+
+// Looks up a view's owner; sends 400/403/404 and returns false when the
+// request may not change it.
+async function checkViewAccess(req, res, id) {
+  if (id === null) {
+    res.status(400).json({ ok: false, error: 'invalid id' });
+    return false;
+  }
+  const r = await pool.query(
+    'SELECT owner_user_id FROM public.tfs_saved_views WHERE view_id = $1',
+    [id]
+  );
+  if (!r.rows.length) {
+    res.status(404).json({ ok: false, error: 'not found' });
+    return false;
+  }
+  if (!canEditView(req, r.rows[0].owner_user_id)) {
+    res.status(403).json({
+      ok: false,
+      error: 'only the owner or an admin can change this view',
+    });
+    return false;
+  }
+  return true;
+}
+
+app.put('/api/views/:id', async (req, res) => {
+  const id = normInt(req.params.id);
+  const p = parseViewBody(req.body, true);
+  if (p.error) return res.status(400).json({ ok: false, error: p.error });
+
+  const params = [id];
+  const sets = Object.entries(p.value).map(([col, v]) => {
+    params.push(v);
+    return `${col} = $${params.length}`;
+  });
+  if (!sets.length)
+    return res.status(400).json({ ok: false, error: 'nothing to update' });
+  // switching to a relative range drops the stored fixed dates
+  if (p.value.date_range && !p.value.params)
+    sets.push("params = params - 'from' - 'to'");
+
+  try {
+    if (!(await checkViewAccess(req, res, id))) return;
+    const r = await pool.query(
+      `WITH v AS (
+         UPDATE public.tfs_saved_views
+         SET ${sets.join(', ')}, updated_at = now()
+         WHERE view_id = $1
+         RETURNING *
+       )
+       SELECT ${VIEW_COLS}
+       FROM v
+       LEFT JOIN public.tfs_users u ON u.user_id = v.owner_user_id`,
+      params
+    );
+    if (!r.rows.length)
+      return res.status(404).json({ ok: false, error: 'not found' });
+    res.json({ ok: true, row: viewOut(req, r.rows[0]) });
+  } catch (e) {
+    sendViewError(res, e);
+  }
+});
+
+app.delete('/api/views/:id', async (req, res) => {
+  const id = normInt(req.params.id);
+  try {
+    if (!(await checkViewAccess(req, res, id))) return;
+    await pool.query('DELETE FROM public.tfs_saved_views WHERE view_id = $1', [
+      id,
+    ]);
+    res.json({ ok: true });
+  } catch (e) {
+    // 23503 = still referenced by a report job
+    if (e?.code === '23503')
+      return res
+        .status(409)
+        .json({ ok: false, error: 'view is used by a report job' });
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// ---------- Report jobs (scheduled digests) ----------
+const REPORT_DELIVERIES = ['directory', 'webhook', 'smtp'];
+// Entries rendered into the HTML digest; the CSV carries up to
+// REPORT_JOB_MAX_ENTRIES.
+const REPORT_JOB_HTML_ENTRIES = 50;
+const REPORT_JOB_MAX_ENTRIES =
+  Number(process.env.REPORT_JOB_MAX_ENTRIES) || 10000;
+const REPORT_JOB_TICK_MS = 30 * 1000;
+// Jobs see all data, like the admin who set them up.
+const REPORT_JOB_USER = {
+  userId: null,
+  username: 'report-scheduler',
+  displayName: null,
+  role: 'admin',
+  teamIds: [],
+};
+
+const REPORT_JOB_COLS = `
+  j.job_id         AS "jobId",
+  j.name,
+  j.view_id        AS "viewId",
+  v.name           AS "viewName",
+  j.schedule,
+  j.tz,
+  j.delivery,
+  j.target,
+  j.enabled,
+  j.next_run_at    AS "nextRunAt",
+  j.created_at     AS "createdAt",
+  j.updated_at     AS "updatedAt"
+`;
+
+const REPORT_RUN_COLS = `
+  run_id                            AS "runId",
+  job_id                            AS "jobId",
+  trigger,
+  started_at                        AS "startedAt",
+  finished_at                       AS "finishedAt",
+  status,
+  to_char(range_from, 'YYYY-MM-DD') AS "rangeFrom",
+  to_char(range_to, 'YYYY-MM-DD')   AS "rangeTo",
+  summary_rows                      AS "summaryRows",
+  entry_rows                        AS "entryRows",
+  detail
+`;
+
+// First run of a parsed schedule after `after` (a Date), or null. Wall
+// times skipped by a DST jump don't run that day.
+function nextReportRun(cron, tz, after) {
+  let wall = wallTimeInTz(after.getTime(), tz);
+  for (let i = 0; i < 1000; i++) {
+    wall = nextCronWallTime(cron, wall);
+    if (!wall) return null;
+    const ms = zonedWallTimeToUtcMs(
+      wall.y,
+      wall.mo,
+      wall.d,
+      wall.h,
+      wall.mi,
+      tz
+    );
+    const back = wallTimeInTz(ms, tz);
+    if (ms > after.getTime() && back.h === wall.h && back.mi === wall.mi)
+      return new Date(ms);
+  }
+  return null;
+}
+
+function jobNextRun(job, after = new Date()) {
+  if (!job.enabled) return null;
+  return nextReportRun(parseCron(job.schedule), job.tz || REPORT_TZ, after);
+}
+
+// Validates a job body. `partial` allows omitting fields (PUT); delivery
+// and target are checked as a pair, so a PUT changing one sends both.
+function parseReportJobBody(body, partial) {
+  const b = body || {};
+  const out = {};
+  if (!partial || b.name !== undefined) {
+    const name = typeof b.name === 'string' ? b.name.trim() : '';
+    if (!name) return { error: 'name required' };
+    out.name = name;
+  }
+  if (!partial || b.viewId !== undefined) {
+    const id = normInt(b.viewId);
+    if (id === null) return { error: 'viewId required' };
+    out.view_id = id;
+  }
+  if (b.tz !== undefined) {
+    if (b.tz !== null && b.tz !== '' && !isValidTimeZone(b.tz))
+      return { error: 'invalid tz' };
+    out.tz = b.tz || null;
+  }
+  if (!partial || b.schedule !== undefined) {
+    const cron = parseCron(b.schedule);
+    if (cron.error) return { error: `schedule: ${cron.error}` };
+    out.schedule = String(b.schedule).trim();
+  }
+  if (!partial || b.delivery !== undefined || b.target !== undefined) {
+    if (!REPORT_DELIVERIES.includes(b.delivery))
+      return {
+        error: `delivery must be one of ${REPORT_DELIVERIES.join(', ')}`,
+      };
+    const target = typeof b.target === 'string' ? b.target.trim() : '';
+    if (b.delivery === 'directory' && !path.isAbsolute(target))
+      return { error: 'target must be an absolute directory path' };
+    if (b.delivery === 'webhook' && !/^https?:\/\/\S+$/i.test(target))
+      return { error: 'target must be an http(s) URL' };
+    if (b.delivery === 'smtp' && !reportRecipients(target).length)
+      return { error: 'target must list e-mail addresses' };
+    out.delivery = b.delivery;
+    out.target = target;
+  }
+  if (b.enabled !== undefined) {
+    if (typeof b.enabled !== 'boolean')
+      return { error: 'enabled must be true or false' };
+    out.enabled = b.enabled;
+  }
+  return { value: out };
+}
+
+// Comma/semicolon-separated addresses; [] if any of them looks wrong.
+function reportRecipients(target) {
+  const list = String(target || '')
+    .split(/[,;]/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+  return list.every((a) => /^[^\s@<>]+@[^\s@<>]+$/.test(a)) ? list : [];
+}
+
+function htmlEscape(v) {
+  return String(v ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function htmlTable(headers, rows, numericFrom = headers.length) {
+  const cell = (v, i, tag) =>
+    `<${tag}${i >= numericFrom ? ' style="text-align:right"' : ''}>${htmlEscape(
+      v
+    )}</${tag}>`;
+  return `<table border="1" cellpadding="4" cellspacing="0" style="border-collapse:collapse;font-size:13px">
+<tr>${headers.map((h, i) => cell(h, i, 'th')).join('')}</tr>
+${rows
+  .map((r) => `<tr>${r.map((v, i) => cell(v, i, 'td')).join('')}</tr>`)
+  .join('\n')}
+</table>`;
+}
+
+// Runs the job's view through the summary and entries queries. Returns
+// { from, to, tz, subject, html, summaryCsv, entriesCsv, summaryRows,
+// entryRows }; throws when the view can't be reported on.
+async function buildReportDigest(job, view, now) {
+  const query = viewQuery(view, now);
+  if (!query.from || !query.to)
+    throw new Error(`view "${view.name}" has no date range`);
+  const req = { query, user: REPORT_JOB_USER };
+
+  const sq = await buildSummaryQuery(req);
+  if (sq.error) throw new Error(sq.error);
+  const eq = await buildEntriesQuery(req, { limit: REPORT_JOB_MAX_ENTRIES });
+  if (eq.error) throw new Error(eq.error);
+  const summary = await pool.query(sq.sql, sq.params);
+  const entries = await pool.query(eq.sql, eq.params);
+
+  const tz = sq.tz;
+  const total = summary.rows.reduce((n, x) => n + Number(x.hours || 0), 0);
+  const entryTotal = entries.rows.length
+    ? Number(entries.rows[0].total_count)
+    : 0;
+  const subject = `${job.name}: ${total.toFixed(2)} h, ${sq.fromStr} – ${
+    sq.toStr
+  }`;
+
+  const withBucket = sq.bucket !== 'none';
+  const summaryTable = htmlTable(
+    [
+      ...(withBucket ? ['Bucket'] : []),
+      ...sq.columns.map((c) => c.label),
+      'Hours',
+    ],
+    summary.rows.map((x) => [
+      ...(withBucket ? [ymdInTz(x.bucket, tz)] : []),
+      ...sq.columns.map((c) => x[c.key]),
+      Number(x.hours || 0).toFixed(2),
+    ]),
+    sq.columns.length + (withBucket ? 1 : 0)
+  );
+  const shown = entries.rows.slice(0, REPORT_JOB_HTML_ENTRIES);
+  const entriesTable = htmlTable(
+    ['Changed', 'Task', 'Title', 'AssignedTo', 'Account', 'Hours Δ'],
+    shown.map((x) => [
+      wallClockDate(x.changed_at, tz)
+        .toISOString()
+        .slice(0, 16)
+        .replace('T', ' '),
+      x.task_id,
+      x.task_title,
+      x.task_assigned_to || x.task_assigned_upn,
+      x.account_code,
+      Number(x.delta_hours || 0).toFixed(2),
+    ]),
+    5
+  );
+
+  const html = `<!doctype html>
+<html><head><meta charset="utf-8"><title>${htmlEscape(subject)}</title></head>
+<body style="font-family:system-ui,Segoe UI,Arial,sans-serif">
+<h2>${htmlEscape(job.name)}</h2>
+<p>View <b>${htmlEscape(view.name)}</b> · ${htmlEscape(
+    sq.fromStr
+  )} → ${htmlEscape(sq.toStr)} (${htmlEscape(tz)}) · total <b>${total.toFixed(
+    2
+  )} h</b> · ${entryTotal} entries</p>
+<h3>Summary</h3>
+${summaryTable}
+<h3>Entries${
+    entryTotal > shown.length
+      ? ` (first ${shown.length} of ${entryTotal}; see the CSV)`
+      : ''
+  }</h3>
+${entriesTable}
+<p style="color:#777;font-size:12px">Generated ${htmlEscape(
+    now.toISOString()
+  )} by tfs-hours-dashboard.</p>
+</body></html>
+`;
+
+  return {
+    from: sq.fromStr,
+    to: sq.toStr,
+    tz,
+    subject,
+    html,
+    summaryCsv: summaryCsvLines(sq, summary.rows).join('\n') + '\n',
+    entriesCsv:
+      [
+        ENTRIES_EXPORT_COLUMNS.join(','),
+        ...entries.rows.map(entryCsvLine),
+      ].join('\n') + '\n',
+    summaryRows: summary.rows.length,
+    entryRows: entries.rows.length,
+  };
+}
+
+// Sends a digest to the job's target. Returns a short description of where
+// it went; throws on failure.
+async function deliverReportDigest(job, digest, now) {
+  const slug = job.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '');
+  const base = `${slug || 'report'}_${digest.from}_${digest.to}_${now
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .slice(0, 15)}`;
+  const files = [
+    {
+      filename: `${base}.html`,
+      contentType: 'text/html',
+      content: digest.html,
+    },
+    {
+      filename: `${base}_summary.csv`,
+      contentType: 'text/csv',
+      content: digest.summaryCsv,
+    },
+    {
+      filename: `${base}_entries.csv`,
+      contentType: 'text/csv',
+      content: digest.entriesCsv,
+    },
+  ];
+
+  if (job.delivery === 'directory') {
+    await fs.promises.mkdir(job.target, { recursive: true });
+    for (const f of files)
+      await fs.promises.writeFile(path.join(job.target, f.filename), f.content);
+    return `wrote ${files.length} files to ${path.join(job.target, base)}*`;
+  }
+
+  if (job.delivery === 'webhook') {
+    const host = new URL(job.target).host;
+    const r = await fetch(job.target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      // `text` is what Teams/Slack incoming webhooks display
+      body: JSON.stringify({
+        text: digest.subject,
+        job: { jobId: job.jobId, name: job.name },
+        from: digest.from,
+        to: digest.to,
+        tz: digest.tz,
+        generatedAt: now.toISOString(),
+        html: digest.html,
+        files: files.map((f) => ({ filename: f.filename, content: f.content })),
+      }),
+      signal: AbortSignal.timeout(30000),
+    }).catch((e) => {
+      throw new Error(`webhook ${host}: ${e?.cause?.code || e?.message || e}`);
+    });
+    if (!r.ok) throw new Error(`webhook ${host}: HTTP ${r.status}`);
+    return `posted to ${host} (HTTP ${r.status})`;
+  }
+
+  const to = reportRecipients(job.target);
+  await sendMail({
+    host: SMTP_HOST,
+    port: SMTP_PORT,
+    from: REPORT_MAIL_FROM,
+    to,
+    subject: digest.subject,
+    html: digest.html,
+    attachments: files.slice(1),
+  });
+  return `mailed ${to.length} recipient(s) via ${SMTP_HOST}:${SMTP_PORT}`;
+}
+
+// Runs one job now and records it in tfs_report_job_runs; returns the run
+// row. Report and delivery errors are recorded as a failed run; it only
+// throws when the run log itself can't be written.
+async function runReportJob(job, trigger) {
+  const now = new Date();
+  const started = await pool.query(
+    `INSERT INTO public.tfs_report_job_runs(job_id, trigger, started_at)
+     VALUES ($1, $2, $3)
+     RETURNING run_id`,
+    [job.jobId, trigger, now]
+  );
+  const runId = started.rows[0].run_id;
+
+  let digest = null;
+  let status = 'success';
+  let detail;
+  try {
+    const v = await pool.query(
+      `SELECT ${VIEW_COLS}
+       FROM public.tfs_saved_views v
+       LEFT JOIN public.tfs_users u ON u.user_id = v.owner_user_id
+       WHERE v.view_id = $1`,
+      [job.viewId]
+    );
+    if (!v.rows.length) throw new Error(`view ${job.viewId} not found`);
+    digest = await buildReportDigest(job, v.rows[0], now);
+    detail = await deliverReportDigest(job, digest, now);
+  } catch (e) {
+    console.error(`report job ${job.jobId} failed:`, e?.message || e);
+    status = 'failed';
+    detail = String(e?.message || e);
+  }
+
+  const r = await pool.query(
+    `UPDATE public.tfs_report_job_runs
+     SET finished_at = now(), status = $2, range_from = $3, range_to = $4,
+         summary_rows = $5, entry_rows = $6, detail = $7
+     WHERE run_id = $1
+     RETURNING ${REPORT_RUN_COLS}`,
+    [
+      runId,
+      status,
+      digest?.from ?? null,
+      digest?.to ?? null,
+      digest?.summaryRows ?? null,
+      digest?.entryRows ?? null,
+      detail,
+    ]
+  );
+  return r.rows[0];
+}
+
+// Runs every enabled job whose next_run_at has passed. Each job is claimed
+// by moving next_run_at forward first, so several server instances (or an
+// overlapping tick) never run the same slot twice. Runs missed while the
+// server was down happen once, at the next tick.
+let reportTickRunning = false;
+async function runDueReportJobs() {
+  if (reportTickRunning) return;
+  reportTickRunning = true;
+  try {
+    const due = await pool.query(
+      `SELECT ${REPORT_JOB_COLS}
+       FROM public.tfs_report_jobs j
+       JOIN public.tfs_saved_views v ON v.view_id = j.view_id
+       WHERE j.enabled AND j.next_run_at <= now()
+       ORDER BY j.next_run_at`
+    );
+    // one job's failure (even writing its run log) must not hold up the rest
+    for (const job of due.rows) {
+      try {
+        const claimed = await pool.query(
+          `UPDATE public.tfs_report_jobs SET next_run_at = $2
+           WHERE job_id = $1 AND enabled AND next_run_at <= now()
+           RETURNING job_id`,
+          [job.jobId, jobNextRun(job)]
+        );
+        if (claimed.rows.length) await runReportJob(job, 'schedule');
+      } catch (e) {
+        console.error(`report job ${job.jobId} not run:`, e?.message || e);
+      }
+    }
+  } finally {
+    reportTickRunning = false;
+  }
+}
+
+function startReportScheduler() {
+  if (!REPORT_SCHEDULER) return;
+  const run = () =>
+    runDueReportJobs().catch((e) =>
+      console.error('report scheduler failed:', e?.message || e)
+    );
+  run();
+  setInterval(run, REPORT_JOB_TICK_MS).unref();
+}
+
+function sendReportJobError(res, e) {
+  if (e?.code === '23505')
+    return res
+      .status(409)
+      .json({ ok: false, error: 'report job name already exists' });
+  if (e?.code === '23503')
+    return res.status(400).json({ ok: false, error: 'unknown viewId' });
+  res.status(500).json({ ok: false, error: String(e?.message || e) });
+}
+
+async function selectReportJob(id) {
+  const r = await pool.query(
+    `SELECT ${REPORT_JOB_COLS}
+     FROM public.tfs_report_jobs j
+     JOIN public.tfs_saved_views v ON v.view_id = j.view_id
+     WHERE j.job_id = $1`,
+    [id]
+  );
+  return r.rows[0] || null;
+}
+
+app.get('/api/admin/report-jobs', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  try {
+    const r = await pool.query(
+      `SELECT ${REPORT_JOB_COLS},
+         (SELECT row_to_json(x) FROM (
+            SELECT ${REPORT_RUN_COLS}
+            FROM public.tfs_report_job_runs rr
+            WHERE rr.job_id = j.job_id
+            ORDER BY rr.started_at DESC
+            LIMIT 1
+          ) x) AS "lastRun"
+       FROM public.tfs_report_jobs j
+       JOIN public.tfs_saved_views v ON v.view_id = j.view_id
+       ORDER BY lower(j.name)`
+    );
+    res.json({ ok: true, rows: r.rows });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post('/api/admin/report-jobs', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const p = parseReportJobBody(req.body, false);
+  if (p.error) return res.status(400).json({ ok: false, error: p.error });
+  const v = { enabled: true, tz: null, ...p.value };
+  const next = jobNextRun(v);
+  if (v.enabled && !next)
+    return res.status(400).json({ ok: false, error: 'schedule never fires' });
+
+  try {
+    const r = await pool.query(
+      `INSERT INTO public.tfs_report_jobs
+         (name, view_id, schedule, tz, delivery, target, enabled, next_run_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING job_id`,
+      [
+        v.name,
+        v.view_id,
+        v.schedule,
+        v.tz,
+        v.delivery,
+        v.target,
+        v.enabled,
+        next,
+      ]
+    );
+    res
+      .status(201)
+      .json({ ok: true, row: await selectReportJob(r.rows[0].job_id) });
+  } catch (e) {
+    sendReportJobError(res, e);
+  }
+});
+
+app.put('/api/admin/report-jobs/:id', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const id = normInt(req.params.id);
+  if (id === null)
+    return res.status(400).json({ ok: false, error: 'invalid id' });
+  const p = parseReportJobBody(req.body, true);
+  if (p.error) return res.status(400).json({ ok: false, error: p.error });
+  if (!Object.keys(p.value).length)
+    return res.status(400).json({ ok: false, error: 'nothing to update' });
+
+  try {
+    const cur = await selectReportJob(id);
+    if (!cur) return res.status(404).json({ ok: false, error: 'not found' });
+    // the schedule is recomputed from the merged job
+    const merged = { ...cur, ...p.value };
+    const next = jobNextRun(merged);
+    if (merged.enabled && !next)
+      return res.status(400).json({ ok: false, error: 'schedule never fires' });
+
+    const params = [id, next];
+    const sets = Object.entries(p.value).map(([col, val]) => {
+      params.push(val);
+      return `${col} = $${params.length}`;
+    });
+    await pool.query(
+      `UPDATE public.tfs_report_jobs
+       SET ${sets.join(', ')}, next_run_at = $2, updated_at = now()
+       WHERE job_id = $1`,
+      params
+    );
+    res.json({ ok: true, row: await selectReportJob(id) });
+  } catch (e) {
+    sendReportJobError(res, e);
+  }
+});
+
+app.delete('/api/admin/report-jobs/:id', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const id = normInt(req.params.id);
+  if (id === null)
+    return res.status(400).json({ ok: false, error: 'invalid id' });
+  try {
+    const r = await pool.query(
+      'DELETE FROM public.tfs_report_jobs WHERE job_id = $1',
+      [id]
+    );
+    if (!r.rowCount)
+      return res.status(404).json({ ok: false, error: 'not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// Runs a job immediately (disabled ones too); its schedule is unchanged.
+app.post('/api/admin/report-jobs/:id/run', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const id = normInt(req.params.id);
+  if (id === null)
+    return res.status(400).json({ ok: false, error: 'invalid id' });
+  try {
+    const job = await selectReportJob(id);
+    if (!job) return res.status(404).json({ ok: false, error: 'not found' });
+    res.json({ ok: true, row: await runReportJob(job, 'manual') });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// Run log, newest first.
+app.get('/api/admin/report-jobs/:id/runs', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const id = normInt(req.params.id);
+  if (id === null)
+    return res.status(400).json({ ok: false, error: 'invalid id' });
+  const limit = Math.min(Math.max(normInt(req.query.limit) || 50, 1), 500);
+  try {
+    const r = await pool.query(
+      `SELECT ${REPORT_RUN_COLS}
+       FROM public.tfs_report_job_runs
+       WHERE job_id = $1
+       ORDER BY started_at DESC, run_id DESC
+       LIMIT $2`,
+      [id, limit]
+    );
+    res.json({ ok: true, rows: r.rows });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// ---------- Sync runs ----------
+const RUN_COLS = `
+  r.run_id         AS "runId",
+  r.run_at         AS "runAt",
+  r.source,
+  r.client_source  AS "clientSource",
+  r.agent_id       AS "agentId",
+  a.name           AS "agentName",
+  r.item_count     AS "count",
+  r.rejected_count AS "rejectedRows",
+  (SELECT COUNT(*)::int FROM public.tfs_task_hours_snapshots s
+   WHERE s.run_id = r.run_id) AS "snapshotRows"
+`;
+
+// True when snapshot row `x` (joined to person "p") belongs to a member of
+// the teams in teamsRef on the change's calendar day in tzRef.
+function snapshotInTeamsSql(x, teamsRef, tzRef) {
+  return `EXISTS (
+    SELECT 1 FROM public.tfs_team_members sm
+    WHERE sm.team_id = ANY(${teamsRef}::bigint[])
+      AND ${memberIsPersonSql('sm', `${x}.task_assigned_upn`, 'p.person_id')}
+      AND (COALESCE(${x}.task_changed_date, ${x}.snapshot_at) AT TIME ZONE ${tzRef})::date
+        BETWEEN COALESCE(sm.effective_from, '-infinity'::date)
+            AND COALESCE(sm.effective_to, 'infinity'::date)
+  )`;
+}
+
+// True when run `r` carried at least one row for a member of the teams in
+// teamsRef (see snapshotInTeamsSql).
+function runInTeamsSql(r, teamsRef, tzRef) {
+  return `EXISTS (
+    SELECT 1 FROM public.tfs_task_hours_snapshots x
+    ${personJoinSql('x')}
+    WHERE x.run_id = ${r}.run_id AND ${snapshotInTeamsSql('x', teamsRef, tzRef)}
+  )`;
+}
+
+// Managers only see runs (and sources) that carried rows for their teams'
+// members, as with /api/runs/:id.
+app.get('/api/runs', async (req, res) => {
+  const limit = Math.min(500, Math.max(1, Number(req.query.limit || 50)));
+  const offset = Math.max(0, Number(req.query.offset || 0));
+  const source = (req.query.source || '').toString().trim();
+  const tz = getRequestTz(req);
+  if (!tz) return res.status(400).json({ ok: false, error: 'invalid tz' });
+
+  const params = [];
+  const where = [];
+  const scope = scopeTeamIds(req);
+  if (scope) {
+    params.push(scope, tz);
+    where.push(runInTeamsSql('r', '$1', '$2'));
+  }
+  if (source) {
+    params.push(source);
+    where.push(`lower(r.source) = lower($${params.length})`);
+  }
+  params.push(limit, offset);
+
+  try {
+    const r = await pool.query(
+      `SELECT ${RUN_COLS}, COUNT(*) OVER() AS total_count
+       FROM public.tfs_hours_runs r
+       LEFT JOIN public.tfs_agents a ON a.agent_id = r.agent_id
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY r.run_id DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+    const sources = await pool.query(
+      `SELECT r.source, MAX(r.run_at) AS "lastRunAt"
+       FROM public.tfs_hours_runs r
+       ${scope ? `WHERE ${where[0]}` : ''}
+       GROUP BY r.source
+       ORDER BY r.source`,
+      scope ? [scope, tz] : []
+    );
+    const total = r.rows.length ? Number(r.rows[0].total_count) : 0;
+    res.json({
+      ok: true,
+      total,
+      limit,
+      offset,
+      sources: sources.rows,
+      rows: r.rows.map(({ total_count, ...rest }) => rest),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// One run: what it sent and what it changed. Per task, the value before the
+// run is the latest snapshot from earlier runs; after is the latest from
+// runs up to and including this one (older rows the run re-sent don't move
+// it). Managers only see runs that carried rows for their teams' members
+// (others are 404), the tasks of those members, and the previous such run.
+app.get('/api/runs/:id', async (req, res) => {
+  const id = normInt(req.params.id);
+  if (id === null)
+    return res.status(400).json({ ok: false, error: 'invalid id' });
+
+  const tz = getRequestTz(req);
+  if (!tz) return res.status(400).json({ ok: false, error: 'invalid tz' });
+
+  const params = [id];
+  let scopeSql = '';
+  let runScopeSql = '';
+  const scope = scopeTeamIds(req);
+  if (scope) {
+    params.push(scope, tz);
+    scopeSql = `AND ${snapshotInTeamsSql('x', '$2', '$3')}`;
+    runScopeSql = `AND ${runInTeamsSql('r', '$2', '$3')}`;
+  }
+
+  try {
+    const run = await pool.query(
+      `SELECT ${RUN_COLS}
+       FROM public.tfs_hours_runs r
+       LEFT JOIN public.tfs_agents a ON a.agent_id = r.agent_id
+       WHERE r.run_id = $1 ${runScopeSql}`,
+      params
+    );
+    if (!run.rows.length)
+      return res.status(404).json({ ok: false, error: 'not found' });
+
+    const prev = await pool.query(
+      `SELECT r.run_id AS "runId", r.run_at AS "runAt", r.source
+       FROM public.tfs_hours_runs r
+       WHERE r.run_id < $1 ${runScopeSql}
+       ORDER BY r.run_id DESC
+       LIMIT 1`,
+      params
+    );
+
+    const tasks = await pool.query(
+      `WITH t AS (
+         SELECT task_id, COUNT(*)::int AS rows
+         FROM public.tfs_task_hours_snapshots
+         WHERE run_id = $1
+         GROUP BY task_id
+       ),
+       before AS (
+         SELECT DISTINCT ON (s.task_id) s.task_id, s.task_actual_hours
+         FROM public.tfs_task_hours_snapshots s
+         JOIN t ON t.task_id = s.task_id
+         WHERE s.run_id < $1
+         ORDER BY s.task_id, COALESCE(s.task_changed_date, s.snapshot_at) DESC, s.run_id DESC
+       ),
+       x AS (
+         SELECT DISTINCT ON (s.task_id) s.*
+         FROM public.tfs_task_hours_snapshots s
+         JOIN t ON t.task_id = s.task_id
+         WHERE s.run_id <= $1
+         ORDER BY s.task_id, COALESCE(s.task_changed_date, s.snapshot_at) DESC, s.run_id DESC
+       )
+       SELECT
+         x.task_id            AS "taskId",
+         l.task_title         AS "taskTitle",
+         t.rows,
+         x.task_changed_date  AS "changedAt",
+         x.task_activity      AS "activity",
+         ${canonicalPersonCols('x')},
+         b.task_actual_hours  AS "prevHours",
+         x.task_actual_hours  AS "actualHours",
+         COALESCE(x.task_actual_hours, 0) - COALESCE(b.task_actual_hours, 0) AS "deltaHours",
+         b.task_id IS NULL    AS "isNew"
+       FROM x
+       JOIN t ON t.task_id = x.task_id
+       LEFT JOIN before b ON b.task_id = x.task_id
+       LEFT JOIN public.tfs_task_hours_latest l ON l.task_id = x.task_id
+       ${personJoinSql('x')}
+       WHERE 1=1 ${scopeSql}
+       ORDER BY abs(COALESCE(x.task_actual_hours, 0) - COALESCE(b.task_actual_hours, 0)) DESC, x.task_id`,
+      params
+    );
+
+    const rows = tasks.rows.map(
+      ({ person_id, task_assigned_upn, task_assigned_to, ...rest }) => ({
+        ...rest,
+        assignedToUPN: task_assigned_upn,
+        assignedTo: task_assigned_to,
+      })
+    );
+    res.json({
+      ok: true,
+      run: run.rows[0],
+      previousRun: prev.rows[0] || null,
+      tasksTouched: rows.length,
+      netDeltaHours: rows.reduce((acc, x) => acc + Number(x.deltaHours), 0),
+      rejected: rejectionReport(await loadRunRejections(pool, id)),
+      tasks: rows,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// ---------- Account codes ----------
+// Read-only list for dropdowns / labels.
+app.get('/api/account-codes', async (req, res) => {
+  try {
+    const r = await pool.query(`
+      SELECT account_code AS "accountCode", name, client, billable, active
+      FROM public.tfs_account_codes
+      ORDER BY active DESC, account_code ASC
+    `);
+    res.json({ ok: true, rows: r.rows });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// Validates an account code body. `partial` allows omitting fields (PUT).
+function parseAccountCodeBody(body, partial) {
+  const b = body || {};
+  const out = {};
+
+  if (!partial || b.name !== undefined) {
+    const name = typeof b.name === 'string' ? b.name.trim() : '';
+    if (!name) return { error: 'name required' };
+    out.name = name;
+  }
+  if (b.client !== undefined) {
+    if (b.client !== null && typeof b.client !== 'string')
+      return { error: 'client must be a string' };
+    out.client = b.client?.trim() || null;
+  }
+  for (const k of ['billable', 'active']) {
+    if (b[k] === undefined) continue;
+    if (typeof b[k] !== 'boolean') return { error: `${k} must be boolean` };
+    out[k] = b[k];
+  }
+  return { value: out };
+}
+
+app.get('/api/admin/account-codes', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  try {
+    const r = await pool.query(`
+      SELECT account_code AS "accountCode", name, client, billable, active,
+             created_at AS "createdAt", updated_at AS "updatedAt"
+      FROM public.tfs_account_codes
+      ORDER BY account_code ASC
+    `);
+    res.json({ ok: true, rows: r.rows });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post('/api/admin/account-codes', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const code = normInt(req.body?.accountCode);
+  if (code === null) {
+    return res.status(400).json({ ok: false, error: 'accountCode required' });
+  }
+  const p = parseAccountCodeBody(req.body, false);
+  if (p.error) return res.status(400).json({ ok: false, error: p.error });
+  const v = p.value;
+
+  try {
+    const r = await pool.query(
+      `INSERT INTO public.tfs_account_codes(account_code, name, client, billable, active)
+       VALUES ($1, $2, $3, COALESCE($4, true), COALESCE($5, true))
+       RETURNING account_code AS "accountCode", name, client, billable, active`,
+      [code, v.name, v.client ?? null, v.billable ?? null, v.active ?? null]
+    );
+    res.status(201).json({ ok: true, row: r.rows[0] });
+  } catch (e) {
+    if (e?.code === '23505') {
+      return res
+        .status(409)
+        .json({ ok: false, error: `account code ${code} already exists` });
+    }
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.put('/api/admin/account-codes/:code', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const code = normInt(req.params.code);
+  if (code === null)
+    return res.status(400).json({ ok: false, error: 'invalid code' });
+  const p = parseAccountCodeBody(req.body, true);
+  if (p.error) return res.status(400).json({ ok: false, error: p.error });
+
+  const cols = {
+    name: 'name',
+    client: 'client',
+    billable: 'billable',
+    active: 'active',
+  };
+  const params = [code];
+  const sets = [];
+  for (const [k, col] of Object.entries(cols)) {
+    if (!(k in p.value)) continue;
+    params.push(p.value[k]);
+    sets.push(`${col} = $${params.length}`);
+  }
+  if (!sets.length)
+    return res.status(400).json({ ok: false, error: 'nothing to update' });
+
+  try {
+    const r = await pool.query(
+      `UPDATE public.tfs_account_codes
+       SET ${sets.join(', ')}, updated_at = now()
+       WHERE account_code = $1
+       RETURNING account_code AS "accountCode", name, client, billable, active`,
+      params
+    );
+    if (!r.rows.length)
+      return res.status(404).json({ ok: false, error: 'not found' });
+    res.json({ ok: true, row: r.rows[0] });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.delete('/api/admin/account-codes/:code', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const code = normInt(req.params.code);
+  if (code === null)
+    return res.status(400).json({ ok: false, error: 'invalid code' });
+
+  try {
+    const r = await pool.query(
+      'DELETE FROM public.tfs_account_codes WHERE account_code = $1',
+      [code]
+    );
+    if (!r.rowCount)
+      return res.status(404).json({ ok: false, error: 'not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// Codes seen in ingested data that the catalog doesn't know yet.
+app.get('/api/admin/account-codes/unknown', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  try {
+    const r = await pool.query(`
+      SELECT
+        s.account_code                 AS "accountCode",
+        COUNT(*)                       AS "snapshotRows",
+        COUNT(DISTINCT s.task_id)      AS "tasks",
+        MIN(s.snapshot_at)             AS "firstSeen",
+        MAX(s.snapshot_at)             AS "lastSeen"
+      FROM public.tfs_task_hours_snapshots s
+      LEFT JOIN public.tfs_account_codes ac ON ac.account_code = s.account_code
+      WHERE s.account_code IS NOT NULL AND ac.account_code IS NULL
+      GROUP BY s.account_code
+      ORDER BY MAX(s.snapshot_at) DESC
+    `);
+    res.json({
+      ok: true,
+      rows: r.rows.map((x) => ({
+        ...x,
+        snapshotRows: Number(x.snapshotRows),
+        tasks: Number(x.tasks),
+      })),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// ---------- Budgets ----------
+const BUDGET_WARN_PCT = Number(process.env.BUDGET_WARN_PCT || '80');
+
+// Select list for budget rows (b = table alias).
+function budgetCols(b = 'b') {
+  return `
+    ${b}.budget_id                        AS "budgetId",
+    ${b}.name,
+    ${b}.account_code                     AS "accountCode",
+    ${b}.parent_id                        AS "parentId",
+    ${b}.budget_hours                     AS "budgetHours",
+    to_char(${b}.starts_on, 'YYYY-MM-DD') AS "startsOn",
+    to_char(${b}.ends_on, 'YYYY-MM-DD')   AS "endsOn",
+    ${b}.warn_pct                         AS "warnPct",
+    ${b}.notes
+  `;
+}
+
+function ymdDayNumber(ymd) {
+  const p = parseYmd(ymd);
+  return p ? Date.UTC(p.y, p.mo - 1, p.d) / 86400000 : null;
+}
+
+function dayNumberYmd(n) {
+  return new Date(n * 86400000).toISOString().slice(0, 10);
+}
+
+// Validates a budget body. `partial` allows omitting fields (PUT); the
+// account/parent and date-order rules are re-checked by the table CHECKs.
+function parseBudgetBody(body, partial) {
+  const b = body || {};
+  const out = {};
+
+  if (b.accountCode !== undefined || b.parentId !== undefined || !partial) {
+    const accountCode = normInt(b.accountCode);
+    const parentId = normInt(b.parentId);
+    if ((accountCode === null) === (parentId === null)) {
+      return { error: 'exactly one of accountCode or parentId required' };
+    }
+    out.account_code = accountCode;
+    out.parent_id = parentId;
+  }
+  if (b.budgetHours !== undefined || !partial) {
+    const h = normNum(b.budgetHours);
+    if (h === null || h <= 0)
+      return { error: 'budgetHours must be a positive number' };
+    out.budget_hours = h;
+  }
+  for (const [k, col] of [
+    ['startsOn', 'starts_on'],
+    ['endsOn', 'ends_on'],
+  ]) {
+    if (b[k] === undefined) continue;
+    if (b[k] !== null && b[k] !== '' && !parseYmd(b[k]))
+      return { error: `${k} must be YYYY-MM-DD` };
+    out[col] = b[k] || null;
+  }
+  if (out.starts_on && out.ends_on && out.starts_on > out.ends_on) {
+    return { error: 'startsOn must not be after endsOn' };
+  }
+  if (b.warnPct !== undefined) {
+    const w = normNum(b.warnPct);
+    if (b.warnPct !== null && (w === null || w <= 0 || w > 100))
+      return { error: 'warnPct must be between 0 and 100' };
+    out.warn_pct = b.warnPct === null ? null : w;
+  }
+  for (const k of ['name', 'notes']) {
+    if (b[k] === undefined) continue;
+    if (b[k] !== null && typeof b[k] !== 'string')
+      return { error: `${k} must be a string` };
+    out[k] = b[k]?.trim() || null;
+  }
+  return { value: out };
+}
+
+app.get('/api/admin/budgets', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  try {
+    const r = await pool.query(
+      `SELECT ${budgetCols()} FROM public.tfs_budgets b ORDER BY b.budget_id ASC`
+    );
+    res.json({ ok: true, rows: r.rows });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post('/api/admin/budgets', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const p = parseBudgetBody(req.body, false);
+  if (p.error) return res.status(400).json({ ok: false, error: p.error });
+
+  const cols = Object.keys(p.value);
+  const params = cols.map((c) => p.value[c]);
+  try {
+    const r = await pool.query(
+      `INSERT INTO public.tfs_budgets AS b (${cols.join(',')})
+       VALUES (${cols.map((_, i) => `$${i + 1}`).join(',')})
+       RETURNING ${budgetCols()}`,
+      params
+    );
+    res.status(201).json({ ok: true, row: r.rows[0] });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.put('/api/admin/budgets/:id', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const id = normInt(req.params.id);
+  if (id === null)
+    return res.status(400).json({ ok: false, error: 'invalid id' });
+  const p = parseBudgetBody(req.body, true);
+  if (p.error) return res.status(400).json({ ok: false, error: p.error });
+
+  const params = [id];
+  const sets = Object.entries(p.value).map(([col, v]) => {
+    params.push(v);
+    return `${col} = $${params.length}`;
+  });
+  if (!sets.length)
+    return res.status(400).json({ ok: false, error: 'nothing to update' });
+
+  try {
+    const r = await pool.query(
+      `UPDATE public.tfs_budgets b
+       SET ${sets.join(', ')}, updated_at = now()
+       WHERE b.budget_id = $1
+       RETURNING ${budgetCols()}`,
+      params
+    );
+    if (!r.rows.length)
+      return res.status(404).json({ ok: false, error: 'not found' });
+    res.json({ ok: true, row: r.rows[0] });
+  } catch (e) {
+    // 23514 = CHECK violation (e.g. startsOn moved past the stored endsOn)
+    const status = e?.code === '23514' ? 400 : 500;
+    res.status(status).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.delete('/api/admin/budgets/:id', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const id = normInt(req.params.id);
+  if (id === null)
+    return res.status(400).json({ ok: false, error: 'invalid id' });
+
+  try {
+    const r = await pool.query(
+      'DELETE FROM public.tfs_budgets WHERE budget_id = $1',
+      [id]
+    );
+    if (!r.rowCount)
+      return res.status(404).json({ ok: false, error: 'not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// Consumed / remaining / % burned per budget, with a straight-line projection
+// of when the budget runs out at the average daily burn so far. For managers
+// consumed (and the projection) only counts their teams' members' hours.
+app.get('/api/budgets/status', async (req, res) => {
+  const tz = getRequestTz(req);
+  if (!tz) return res.status(400).json({ ok: false, error: 'invalid tz' });
+  const flaggedOnly = ['1', 'true'].includes(String(req.query.flagged || ''));
+
+  const params = ['-infinity', 'infinity', tz];
+  const scope = teamFilter(
+    { teamId: null, scopeTeamIds: scopeTeamIds(req), excludeTeamIds: null },
+    params,
+    tz
+  );
+
+  // Deltas don't depend on the range start (LAG still sees the prior
+  // value), so one unbounded pass covers every budget window.
+  const sql = `
+    WITH ${deltaEntriesCte()},
+    used AS (
+      SELECT
+        b.budget_id,
+        SUM(d.delta_hours) AS consumed,
+        MIN(d.changed_at)  AS first_at,
+        MAX(d.changed_at)  AS last_at
+      FROM public.tfs_budgets b
+      JOIN d ON (
+          (b.account_code IS NOT NULL AND d.account_code = b.account_code)
+          OR (b.parent_id IS NOT NULL AND d.parent_id = b.parent_id)
+        )
+        AND (b.starts_on IS NULL OR d.changed_at >= b.starts_on::timestamp AT TIME ZONE $3)
+        AND (b.ends_on IS NULL OR d.changed_at < (b.ends_on + 1)::timestamp AT TIME ZONE $3)
+        ${scope.join('\n')}
+      GROUP BY b.budget_id
+    )
+    SELECT
+      ${budgetCols()},
+      ac.name AS "accountName",
+      (SELECT MAX(l.parent_title) FROM public.tfs_task_hours_latest l
+        WHERE l.parent_id = b.parent_id) AS "parentTitle",
+      COALESCE(u.consumed, 0) AS consumed,
+      u.first_at AS "firstEntryAt",
+      u.last_at  AS "lastEntryAt"
+    FROM public.tfs_budgets b
+    LEFT JOIN used u ON u.budget_id = b.budget_id
+    LEFT JOIN public.tfs_account_codes ac ON ac.account_code = b.account_code
+    ORDER BY b.budget_id ASC
+  `;
+
+  try {
+    const r = await pool.query(sql, params);
+    const today = ymdDayNumber(ymdInTz(new Date(), tz));
+
+    const rows = r.rows.map((b) => {
+      const budget = Number(b.budgetHours);
+      const consumed = Number(b.consumed || 0);
+      const remaining = budget - consumed;
+      const pctBurned = (consumed / budget) * 100;
+      const warnPct = Number(b.warnPct ?? BUDGET_WARN_PCT);
+
+      // burn window: budget start (or first entry) .. today (or budget end)
+      const start =
+        ymdDayNumber(b.startsOn) ??
+        (b.firstEntryAt ? ymdDayNumber(ymdInTz(b.firstEntryAt, tz)) : null);
+      const end = b.endsOn ? Math.min(today, ymdDayNumber(b.endsOn)) : today;
+      const elapsedDays = start === null ? 0 : Math.max(1, end - start + 1);
+      const dailyBurn = elapsedDays ? consumed / elapsedDays : 0;
+
+      let projectedExhaustion = null;
+      if (remaining <= 0) {
+        projectedExhaustion = null; // already exhausted
+      } else if (dailyBurn > 0) {
+        projectedExhaustion = dayNumberYmd(
+          today + Math.ceil(remaining / dailyBurn)
+        );
+      }
+      const projectedOverrun = Boolean(
+        projectedExhaustion && b.endsOn && projectedExhaustion <= b.endsOn
+      );
+
+      const status =
+        pctBurned >= 100 ? 'over' : pctBurned >= warnPct ? 'warning' : 'ok';
+
+      return {
+        ...b,
+        budgetHours: budget,
+        warnPct,
+        consumed,
+        remaining,
+        pctBurned,
+        dailyBurn,
+        projectedExhaustion,
+        projectedOverrun,
+        status,
+        flagged: status !== 'ok' || projectedOverrun,
+      };
+    });
+
+    res.json({
+      ok: true,
+      tz,
+      today: dayNumberYmd(today),
+      rows: flaggedOnly ? rows.filter((x) => x.flagged) : rows,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// ---------- Teams ----------
+// Managers only get their own teams.
+app.get('/api/teams', async (req, res) => {
+  try {
+    const r = await pool.query(
+      `SELECT t.team_id AS "teamId", t.name, COUNT(m.member_id) AS "memberCount"
+       FROM public.tfs_teams t
+       LEFT JOIN public.tfs_team_members m ON m.team_id = t.team_id
+       WHERE $1::bigint[] IS NULL OR t.team_id = ANY($1)
+       GROUP BY t.team_id
+       ORDER BY lower(t.name) ASC`,
+      [scopeTeamIds(req)]
+    );
+    res.json({
+      ok: true,
+      rows: r.rows.map((x) => ({
+        ...x,
+        memberCount: Number(x.memberCount),
+      })),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+const TEAM_MEMBER_COLS = `
+  member_id                             AS "memberId",
+  team_id                               AS "teamId",
+  member_upn                            AS "upn",
+  to_char(effective_from, 'YYYY-MM-DD') AS "effectiveFrom",
+  to_char(effective_to, 'YYYY-MM-DD')   AS "effectiveTo"
+`;
+
+// Validates a membership body. `partial` allows omitting fields (PUT).
+function parseTeamMemberBody(body, partial) {
+  const b = body || {};
+  const out = {};
+  if (!partial || b.upn !== undefined) {
+    const upn = typeof b.upn === 'string' ? b.upn.trim() : '';
+    if (!upn) return { error: 'upn required' };
+    out.member_upn = upn;
+  }
+  for (const [k, col] of [
+    ['effectiveFrom', 'effective_from'],
+    ['effectiveTo', 'effective_to'],
+  ]) {
+    if (b[k] === undefined) continue;
+    if (b[k] !== null && b[k] !== '' && !parseYmd(b[k]))
+      return { error: `${k} must be YYYY-MM-DD` };
+    out[col] = b[k] || null;
+  }
+  if (
+    out.effective_from &&
+    out.effective_to &&
+    out.effective_from > out.effective_to
+  ) {
+    return { error: 'effectiveFrom must not be after effectiveTo' };
+  }
+  return { value: out };
+}
+
+function sendTeamError(res, e) {
+  if (e?.code === '23505')
+    return res
+      .status(409)
+      .json({ ok: false, error: 'team name already exists' });
+  // 23514 = CHECK violation (membership dates out of order)
+  const status = e?.code === '23514' ? 400 : 500;
+  res.status(status).json({ ok: false, error: String(e?.message || e) });
+}
+
+app.get('/api/admin/teams', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  try {
+    const t = await pool.query(
+      'SELECT team_id AS "teamId", name FROM public.tfs_teams ORDER BY lower(name)'
+    );
+    const m = await pool.query(
+      `SELECT ${TEAM_MEMBER_COLS} FROM public.tfs_team_members
+       ORDER BY lower(member_upn), effective_from NULLS FIRST`
+    );
+    const byTeam = new Map(t.rows.map((x) => [String(x.teamId), []]));
+    for (const x of m.rows) byTeam.get(String(x.teamId))?.push(x);
+    res.json({
+      ok: true,
+      rows: t.rows.map((x) => ({
+        ...x,
+        members: byTeam.get(String(x.teamId)),
+      })),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post('/api/admin/teams', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+  if (!name) return res.status(400).json({ ok: false, error: 'name required' });
+
+  const members = Array.isArray(req.body?.members) ? req.body.members : [];
+  const parsed = [];
+  for (const [i, mb] of members.entries()) {
+    const p = parseTeamMemberBody(mb, false);
+    if (p.error)
+      return res
+        .status(400)
+        .json({ ok: false, error: `members[${i}]: ${p.error}` });
+    parsed.push(p.value);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const t = await client.query(
+      `INSERT INTO public.tfs_teams(name) VALUES ($1)
+       RETURNING team_id AS "teamId", name`,
+      [name]
+    );
+    const team = t.rows[0];
+    team.members = [];
+    for (const v of parsed) {
+      const m = await client.query(
+        `INSERT INTO public.tfs_team_members(team_id, member_upn, effective_from, effective_to)
+         VALUES ($1, $2, $3, $4)
+         RETURNING ${TEAM_MEMBER_COLS}`,
+        [
+          team.teamId,
+          v.member_upn,
+          v.effective_from ?? null,
+          v.effective_to ?? null,
+        ]
+      );
+      team.members.push(m.rows[0]);
+    }
+    await client.query('COMMIT');
+    res.status(201).json({ ok: true, row: team });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    sendTeamError(res, e);
+  } finally {
+    client.release();
+  }
+});
+
+app.put('/api/admin/teams/:id', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const id = normInt(req.params.id);
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+  if (id === null)
+    return res.status(400).json({ ok: false, error: 'invalid id' });
+  if (!name) return res.status(400).json({ ok: false, error: 'name required' });
+
+  try {
+    const r = await pool.query(
+      `UPDATE public.tfs_teams SET name = $2 WHERE team_id = $1
+       RETURNING team_id AS "teamId", name`,
+      [id, name]
+    );
+    if (!r.rows.length)
+      return res.status(404).json({ ok: false, error: 'not found' });
+    res.json({ ok: true, row: r.rows[0] });
+  } catch (e) {
+    sendTeamError(res, e);
+  }
+});
+
+app.delete('/api/admin/teams/:id', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const id = normInt(req.params.id);
+  if (id === null)
+    return res.status(400).json({ ok: false, error: 'invalid id' });
+
+  try {
+    const r = await pool.query(
+      'DELETE FROM public.tfs_teams WHERE team_id = $1',
+      [id]
+    );
+    if (!r.rowCount)
+      return res.status(404).json({ ok: false, error: 'not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post('/api/admin/teams/:id/members', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const id = normInt(req.params.id);
+  if (id === null)
+    return res.status(400).json({ ok: false, error: 'invalid id' });
+  const p = parseTeamMemberBody(req.body, false);
+  if (p.error) return res.status(400).json({ ok: false, error: p.error });
+
+  try {
+    const r = await pool.query(
+      `INSERT INTO public.tfs_team_members(team_id, member_upn, effective_from, effective_to)
+       SELECT team_id, $2, $3, $4 FROM public.tfs_teams WHERE team_id = $1
+       RETURNING ${TEAM_MEMBER_COLS}`,
+      [
+        id,
+        p.value.member_upn,
+        p.value.effective_from ?? null,
+        p.value.effective_to ?? null,
+      ]
+    );
+    if (!r.rows.length)
+      return res.status(404).json({ ok: false, error: 'team not found' });
+    res.status(201).json({ ok: true, row: r.rows[0] });
+  } catch (e) {
+    sendTeamError(res, e);
+  }
+});
+
+app.put('/api/admin/teams/:id/members/:memberId', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const id = normInt(req.params.id);
+  const memberId = normInt(req.params.memberId);
+  if (id === null || memberId === null)
+    return res.status(400).json({ ok: false, error: 'invalid id' });
+  const p = parseTeamMemberBody(req.body, true);
+  if (p.error) return res.status(400).json({ ok: false, error: p.error });
+
+  const params = [id, memberId];
+  const sets = Object.entries(p.value).map(([col, v]) => {
+    params.push(v);
+    return `${col} = $${params.length}`;
+  });
+  if (!sets.length)
+    return res.status(400).json({ ok: false, error: 'nothing to update' });
+
+  try {
+    const r = await pool.query(
+      `UPDATE public.tfs_team_members SET ${sets.join(', ')}
+       WHERE team_id = $1 AND member_id = $2
+       RETURNING ${TEAM_MEMBER_COLS}`,
+      params
+    );
+    if (!r.rows.length)
+      return res.status(404).json({ ok: false, error: 'not found' });
+    res.json({ ok: true, row: r.rows[0] });
+  } catch (e) {
+    sendTeamError(res, e);
+  }
+});
+
+app.delete('/api/admin/teams/:id/members/:memberId', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const id = normInt(req.params.id);
+  const memberId = normInt(req.params.memberId);
+  if (id === null || memberId === null)
+    return res.status(400).json({ ok: false, error: 'invalid id' });
+
+  try {
+    const r = await pool.query(
+      'DELETE FROM public.tfs_team_members WHERE team_id = $1 AND member_id = $2',
+      [id, memberId]
+    );
+    if (!r.rowCount)
+      return res.status(404).json({ ok: false, error: 'not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// ---------- Working calendar ----------
+const LEAVE_COLS = `
+  leave_id                         AS "leaveId",
+  person_upn                       AS "upn",
+  to_char(starts_on, 'YYYY-MM-DD') AS "startsOn",
+  to_char(ends_on, 'YYYY-MM-DD')   AS "endsOn",
+  note
+`;
+
+// Validates a leave body. `partial` allows omitting fields (PUT); the date
+// order is re-checked by the table CHECK.
+function parseLeaveBody(body, partial) {
+  const b = body || {};
+  const out = {};
+  if (!partial || b.upn !== undefined) {
+    const upn = typeof b.upn === 'string' ? b.upn.trim() : '';
+    if (!upn) return { error: 'upn required' };
+    out.person_upn = upn;
+  }
+  for (const [k, col] of [
+    ['startsOn', 'starts_on'],
+    ['endsOn', 'ends_on'],
+  ]) {
+    if (partial && b[k] === undefined) continue;
+    if (!parseYmd(b[k])) return { error: `${k} must be YYYY-MM-DD` };
+    out[col] = String(b[k]).trim();
+  }
+  if (out.starts_on && out.ends_on && out.starts_on > out.ends_on)
+    return { error: 'startsOn must not be after endsOn' };
+  if (b.note !== undefined) {
+    out.note =
+      typeof b.note === 'string' && b.note.trim() ? b.note.trim() : null;
+  }
+  return { value: out };
+}
+
+function sendCalendarError(res, e) {
+  if (e?.code === '23505')
+    return res
+      .status(409)
+      .json({ ok: false, error: 'holiday already exists for that date' });
+  // 23514 = CHECK violation (leave dates out of order)
+  const status = e?.code === '23514' ? 400 : 500;
+  res.status(status).json({ ok: false, error: String(e?.message || e) });
+}
+
+app.get('/api/admin/calendar', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  try {
+    const cal = await loadWorkCalendar(pool);
+    const h = await pool.query(
+      `SELECT to_char(holiday_date, 'YYYY-MM-DD') AS date, name
+       FROM public.tfs_holidays ORDER BY holiday_date`
+    );
+    const l = await pool.query(
+      `SELECT ${LEAVE_COLS} FROM public.tfs_person_leave
+       ORDER BY starts_on DESC, lower(person_upn)`
+    );
+    res.json({ ok: true, ...cal, holidays: h.rows, leave: l.rows });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// Body: { workdays?: [1..7] (ISO weekdays), expectedHours? }
+app.put('/api/admin/calendar', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const b = req.body || {};
+  const params = [];
+  const sets = [];
+  if (b.workdays !== undefined) {
+    const days = Array.isArray(b.workdays) ? b.workdays.map(normInt) : null;
+    if (!days || days.some((d) => d === null || d < 1 || d > 7))
+      return res.status(400).json({
+        ok: false,
+        error: 'workdays must be an array of ISO weekdays (1 = Mon … 7 = Sun)',
+      });
+    params.push(Array.from(new Set(days)).sort((x, y) => x - y));
+    sets.push(`workdays = $${params.length}::int[]`);
+  }
+  if (b.expectedHours !== undefined) {
+    const h = normNum(b.expectedHours);
+    if (h === null || h < 0 || h > 24)
+      return res
+        .status(400)
+        .json({ ok: false, error: 'expectedHours must be 0..24' });
+    params.push(h);
+    sets.push(`expected_hours = $${params.length}`);
+  }
+  if (!sets.length)
+    return res.status(400).json({ ok: false, error: 'nothing to update' });
+
+  try {
+    await pool.query(
+      `INSERT INTO public.tfs_work_calendar(id) VALUES (true) ON CONFLICT DO NOTHING`
+    );
+    await pool.query(
+      `UPDATE public.tfs_work_calendar
+       SET ${sets.join(', ')}, updated_at = now()
+       WHERE id`,
+      params
+    );
+    res.json({ ok: true, ...(await loadWorkCalendar(pool)) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// Body: { date: "YYYY-MM-DD", name? }
+app.post('/api/admin/calendar/holidays', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const date = (req.body?.date ?? '').toString().trim();
+  if (!parseYmd(date))
+    return res
+      .status(400)
+      .json({ ok: false, error: 'date must be YYYY-MM-DD' });
+  const name =
+    typeof req.body?.name === 'string' && req.body.name.trim()
+      ? req.body.name.trim()
+      : null;
+
+  try {
+    const r = await pool.query(
+      `INSERT INTO public.tfs_holidays(holiday_date, name) VALUES ($1, $2)
+       RETURNING to_char(holiday_date, 'YYYY-MM-DD') AS date, name`,
+      [date, name]
+    );
+    res.status(201).json({ ok: true, row: r.rows[0] });
+  } catch (e) {
+    sendCalendarError(res, e);
+  }
+});
+
+app.delete('/api/admin/calendar/holidays/:date', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  if (!parseYmd(req.params.date))
+    return res
+      .status(400)
+      .json({ ok: false, error: 'date must be YYYY-MM-DD' });
+
+  try {
+    const r = await pool.query(
+      'DELETE FROM public.tfs_holidays WHERE holiday_date = $1',
+      [req.params.date]
+    );
+    if (!r.rowCount)
+      return res.status(404).json({ ok: false, error: 'not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post('/api/admin/calendar/leave', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const p = parseLeaveBody(req.body, false);
+  if (p.error) return res.status(400).json({ ok: false, error: p.error });
+
+  try {
+    const r = await pool.query(
+      `INSERT INTO public.tfs_person_leave(person_upn, starts_on, ends_on, note)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${LEAVE_COLS}`,
+      [
+        p.value.person_upn,
+        p.value.starts_on,
+        p.value.ends_on,
+        p.value.note ?? null,
+      ]
+    );
+    res.status(201).json({ ok: true, row: r.rows[0] });
+  } catch (e) {
+    sendCalendarError(res, e);
+  }
+});
+
+app.put('/api/admin/calendar/leave/:id', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const id = normInt(req.params.id);
+  if (id === null)
+    return res.status(400).json({ ok: false, error: 'invalid id' });
+  const p = parseLeaveBody(req.body, true);
+  if (p.error) return res.status(400).json({ ok: false, error: p.error });
+
+  const params = [id];
+  const sets = Object.entries(p.value).map(([col, v]) => {
+    params.push(v);
+    return `${col} = $${params.length}`;
+  });
+  if (!sets.length)
+    return res.status(400).json({ ok: false, error: 'nothing to update' });
+
+  try {
+    const r = await pool.query(
+      `UPDATE public.tfs_person_leave SET ${sets.join(', ')}
+       WHERE leave_id = $1
+       RETURNING ${LEAVE_COLS}`,
+      params
+    );
+    if (!r.rows.length)
+      return res.status(404).json({ ok: false, error: 'not found' });
+    res.json({ ok: true, row: r.rows[0] });
+  } catch (e) {
+    sendCalendarError(res, e);
+  }
+});
+
+app.delete('/api/admin/calendar/leave/:id', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const id = normInt(req.params.id);
+  if (id === null)
+    return res.status(400).json({ ok: false, error: 'invalid id' });
+
+  try {
+    const r = await pool.query(
+      'DELETE FROM public.tfs_person_leave WHERE leave_id = $1',
+      [id]
+    );
+    if (!r.rowCount)
+      return res.status(404).json({ ok: false, error: 'not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// ---------- People admin ----------
+const PERSON_COLS = `
+  p.person_id     AS "personId",
+  p.canonical_upn AS "canonicalUpn",
+  p.display_name  AS "displayName"
+`;
+
+function sendPersonError(res, e) {
+  if (e?.code === '23505') {
+    const what =
+      e?.constraint === 'ux_people_upn'
+        ? 'canonicalUpn already belongs to another person'
+        : 'alias already maps to a person';
+    return res.status(409).json({ ok: false, error: what });
+  }
+  res.status(500).json({ ok: false, error: String(e?.message || e) });
+}
+
+async function loadPeopleWithAliases(db, personId = null) {
+  const people = await db.query(
+    `SELECT ${PERSON_COLS} FROM public.tfs_people p
+     WHERE $1::bigint IS NULL OR p.person_id = $1
+     ORDER BY lower(COALESCE(p.display_name, p.canonical_upn))`,
+    [personId]
+  );
+  const aliases = await db.query(
+    `SELECT alias_id AS "aliasId", person_id AS "personId", alias
+     FROM public.tfs_person_aliases
+     WHERE $1::bigint IS NULL OR person_id = $1
+     ORDER BY alias_id`,
+    [personId]
+  );
+  const byPerson = new Map(people.rows.map((x) => [String(x.personId), []]));
+  for (const a of aliases.rows) byPerson.get(String(a.personId))?.push(a);
+  return people.rows.map((x) => ({
+    ...x,
+    aliases: byPerson.get(String(x.personId)),
+  }));
+}
+
+app.get('/api/admin/people', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  try {
+    res.json({ ok: true, rows: await loadPeopleWithAliases(pool) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post('/api/admin/people', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const b = req.body || {};
+  const upn = typeof b.canonicalUpn === 'string' ? b.canonicalUpn.trim() : '';
+  if (!upn)
+    return res.status(400).json({ ok: false, error: 'canonicalUpn required' });
+  const displayName =
+    typeof b.displayName === 'string' ? b.displayName.trim() || null : null;
+  const aliases = Array.isArray(b.aliases)
+    ? b.aliases.filter((a) => typeof a === 'string' && identityKey(a))
+    : [];
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const r = await client.query(
+      `INSERT INTO public.tfs_people(canonical_upn, display_name)
+       VALUES ($1, $2) RETURNING person_id`,
+      [upn, displayName]
+    );
+    const personId = r.rows[0].person_id;
+
+    // the canonical UPN always resolves to itself
+    const seen = new Set();
+    for (const a of [upn, ...aliases]) {
+      const k = identityKey(a);
+      if (seen.has(k)) continue;
+      seen.add(k);
+      await client.query(
+        `INSERT INTO public.tfs_person_aliases(person_id, alias) VALUES ($1, $2)`,
+        [personId, a.trim()]
+      );
+    }
+    const [row] = await loadPeopleWithAliases(client, personId);
+    await client.query('COMMIT');
+    res.status(201).json({ ok: true, row });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    sendPersonError(res, e);
+  } finally {
+    client.release();
+  }
+});
+
+app.put('/api/admin/people/:id', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const id = normInt(req.params.id);
+  if (id === null)
+    return res.status(400).json({ ok: false, error: 'invalid id' });
+
+  const b = req.body || {};
+  const sets = [];
+  const params = [id];
+  if (b.canonicalUpn !== undefined) {
+    const upn = typeof b.canonicalUpn === 'string' ? b.canonicalUpn.trim() : '';
+    if (!upn)
+      return res
+        .status(400)
+        .json({ ok: false, error: 'canonicalUpn required' });
+    params.push(upn);
+    sets.push(`canonical_upn = $${params.length}`);
+  }
+  if (b.displayName !== undefined) {
+    params.push(
+      typeof b.displayName === 'string' ? b.displayName.trim() || null : null
+    );
+    sets.push(`display_name = $${params.length}`);
+  }
+  if (!sets.length)
+    return res.status(400).json({ ok: false, error: 'nothing to update' });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const r = await client.query(
+      `UPDATE public.tfs_people SET ${sets.join(', ')}, updated_at = now()
+       WHERE person_id = $1 RETURNING canonical_upn`,
+      params
+    );
+    if (!r.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ ok: false, error: 'not found' });
+    }
+    // keep the (possibly new) canonical UPN resolvable
+    await client.query(
+      `INSERT INTO public.tfs_person_aliases(person_id, alias)
+       SELECT $1, $2
+       WHERE NOT EXISTS (
+         SELECT 1 FROM public.tfs_person_aliases
+         WHERE person_id = $1 AND alias_key = public.tfs_identity_key($2)
+       )`,
+      [id, r.rows[0].canonical_upn]
+    );
+    const [row] = await loadPeopleWithAliases(client, id);
+    await client.query('COMMIT');
+    res.json({ ok: true, row });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    sendPersonError(res, e);
+  } finally {
+    client.release();
+  }
+});
+
+app.delete('/api/admin/people/:id', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const id = normInt(req.params.id);
+  if (id === null)
+    return res.status(400).json({ ok: false, error: 'invalid id' });
+
+  try {
+    const r = await pool.query(
+      'DELETE FROM public.tfs_people WHERE person_id = $1',
+      [id]
+    );
+    if (!r.rowCount)
+      return res.status(404).json({ ok: false, error: 'not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post('/api/admin/people/:id/aliases', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const id = normInt(req.params.id);
+  const alias =
+    typeof req.body?.alias === 'string' ? req.body.alias.trim() : '';
+  if (id === null)
+    return res.status(400).json({ ok: false, error: 'invalid id' });
+  if (!identityKey(alias))
+    return res.status(400).json({ ok: false, error: 'alias required' });
+
+  try {
+    const r = await pool.query(
+      `INSERT INTO public.tfs_person_aliases(person_id, alias)
+       SELECT person_id, $2 FROM public.tfs_people WHERE person_id = $1
+       RETURNING alias_id AS "aliasId", person_id AS "personId", alias`,
+      [id, alias]
+    );
+    if (!r.rows.length)
+      return res.status(404).json({ ok: false, error: 'person not found' });
+    res.status(201).json({ ok: true, row: r.rows[0] });
+  } catch (e) {
+    sendPersonError(res, e);
+  }
+});
+
+app.delete('/api/admin/people/:id/aliases/:aliasId', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const id = normInt(req.params.id);
+  const aliasId = normInt(req.params.aliasId);
+  if (id === null || aliasId === null)
+    return res.status(400).json({ ok: false, error: 'invalid id' });
+
+  try {
+    const r = await pool.query(
+      'DELETE FROM public.tfs_person_aliases WHERE person_id = $1 AND alias_id = $2',
+      [id, aliasId]
+    );
+    if (!r.rowCount)
+      return res.status(404).json({ ok: false, error: 'not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// "bob" for bob@corp.com, CORP\bob and plain bob.
+function identityAccountName(key) {
+  if (!key) return null;
+  if (key.includes('\\')) return key.split('\\').pop() || null;
+  if (key.includes('@')) return key.split('@')[0] || null;
+  return /\s/.test(key) ? null : key;
+}
+
+// Likely duplicates among identities seen in snapshots: different identity
+// keys sharing a display name or an account name, not already merged into
+// one person.
+app.get('/api/admin/people/suggestions', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  try {
+    const r = await pool.query(`
+      SELECT
+        public.tfs_identity_key(s.task_assigned_upn) AS key,
+        MAX(s.task_assigned_upn)                     AS upn,
+        array_agg(DISTINCT btrim(s.task_assigned_to))
+          FILTER (WHERE s.task_assigned_to IS NOT NULL) AS names,
+        COUNT(*)                                     AS rows,
+        MAX(s.snapshot_at)                           AS "lastSeen",
+        MAX(a.person_id)                             AS "personId"
+      FROM public.tfs_task_hours_snapshots s
+      LEFT JOIN public.tfs_person_aliases a
+        ON a.alias_key = public.tfs_identity_key(s.task_assigned_upn)
+      WHERE public.tfs_identity_key(s.task_assigned_upn) IS NOT NULL
+      GROUP BY 1
+    `);
+
+    const identities = r.rows.map((x) => ({
+      ...x,
+      names: x.names || [],
+      rows: Number(x.rows),
+    }));
+
+    const groups = new Map();
+    const addTo = (reason, value, ident) => {
+      if (!value) return;
+      const gk = `${reason}|${value}`;
+      if (!groups.has(gk)) groups.set(gk, { reason, value, identities: [] });
+      const g = groups.get(gk);
+      if (!g.identities.includes(ident)) g.identities.push(ident);
+    };
+    for (const ident of identities) {
+      for (const n of ident.names) {
+        addTo('same display name', n.toLowerCase(), ident);
+      }
+      addTo('same account name', identityAccountName(ident.key), ident);
+    }
+
+    const seenSets = new Set();
+    const rows = [];
+    for (const g of groups.values()) {
+      if (g.identities.length < 2) continue;
+      // already merged: every identity resolves to the same person
+      const persons = new Set(
+        g.identities.map((i) => i.personId ?? `k:${i.key}`)
+      );
+      if (persons.size < 2) continue;
+      const sig = g.identities
+        .map((i) => i.key)
+        .sort()
+        .join('|');
+      if (seenSets.has(sig)) continue;
+      seenSets.add(sig);
+      rows.push(g);
+    }
+    rows.sort((a, b) => b.identities.length - a.identities.length);
+
+    res.json({ ok: true, rows });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// ---------- Users admin ----------
+const USER_COLS = `
+  u.user_id       AS "userId",
+  u.username,
+  u.display_name  AS "displayName",
+  u.role,
+  u.active,
+  u.last_login_at AS "lastLoginAt",
+  u.created_at    AS "createdAt",
+  COALESCE(
+    (SELECT array_agg(ut.team_id ORDER BY ut.team_id)
+     FROM public.tfs_user_teams ut WHERE ut.user_id = u.user_id),
+    '{}'
+  ) AS "teamIds"
+`;
+
+async function loadUsers(db, userId = null) {
+  const r = await db.query(
+    `SELECT ${USER_COLS} FROM public.tfs_users u
+     WHERE $1::bigint IS NULL OR u.user_id = $1
+     ORDER BY lower(u.username)`,
+    [userId]
+  );
+  return r.rows.map((x) => ({ ...x, teamIds: x.teamIds.map(Number) }));
+}
+
+// Validates a user body. `partial` allows omitting fields (PUT). The
+// password comes back hashed as password_hash; teamIds separately.
+async function parseUserBody(body, partial) {
+  const b = body || {};
+  const out = {};
+  if (!partial || b.username !== undefined) {
+    const u = typeof b.username === 'string' ? b.username.trim() : '';
+    if (!u) return { error: 'username required' };
+    out.username = u;
+  }
+  if (b.displayName !== undefined) {
+    out.display_name =
+      typeof b.displayName === 'string' ? b.displayName.trim() || null : null;
+  }
+  if (!partial || b.role !== undefined) {
+    const role = b.role === undefined ? 'viewer' : b.role;
+    if (!USER_ROLES.includes(role))
+      return { error: `role must be one of ${USER_ROLES.join(', ')}` };
+    out.role = role;
+  }
+  if (b.active !== undefined) {
+    if (typeof b.active !== 'boolean')
+      return { error: 'active must be a boolean' };
+    out.active = b.active;
+  }
+  if (!partial || b.password !== undefined) {
+    if (
+      typeof b.password !== 'string' ||
+      b.password.length < PASSWORD_MIN_LENGTH
+    )
+      return {
+        error: `password must be at least ${PASSWORD_MIN_LENGTH} characters`,
+      };
+    out.password_hash = await hashPassword(b.password);
+  }
+  let teamIds;
+  if (b.teamIds !== undefined) {
+    if (!Array.isArray(b.teamIds)) return { error: 'teamIds must be an array' };
+    teamIds = [...new Set(b.teamIds.map(normInt))];
+    if (teamIds.some((x) => x === null))
+      return { error: 'teamIds must be integers' };
+  }
+  return { value: out, teamIds };
+}
+
+function sendUserError(res, e) {
+  if (e?.code === '23505')
+    return res
+      .status(409)
+      .json({ ok: false, error: 'username already exists' });
+  if (e?.code === '23503')
+    return res
+      .status(400)
+      .json({ ok: false, error: 'unknown team in teamIds' });
+  res.status(500).json({ ok: false, error: String(e?.message || e) });
+}
+
+async function replaceUserTeams(client, userId, teamIds) {
+  await client.query('DELETE FROM public.tfs_user_teams WHERE user_id = $1', [
+    userId,
+  ]);
+  if (teamIds.length) {
+    await client.query(
+      `INSERT INTO public.tfs_user_teams(user_id, team_id)
+       SELECT $1, unnest($2::bigint[])`,
+      [userId, teamIds]
+    );
+  }
+}
+
+// Refuse changes that would lock everyone out of the admin routes.
+async function hasActiveAdmin(client) {
+  const r = await client.query(
+    `SELECT 1 FROM public.tfs_users WHERE role = 'admin' AND active LIMIT 1`
+  );
+  return r.rows.length > 0;
+}
+
+app.get('/api/admin/users', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  try {
+    res.json({ ok: true, rows: await loadUsers(pool) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post('/api/admin/users', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const parsed = await parseUserBody(req.body, false);
+  if (parsed.error)
+    return res.status(400).json({ ok: false, error: parsed.error });
+
+  const v = parsed.value;
+  const cols = Object.keys(v);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const r = await client.query(
+      `INSERT INTO public.tfs_users(${cols.join(', ')})
+       VALUES (${cols.map((_, i) => `$${i + 1}`).join(', ')})
+       RETURNING user_id`,
+      cols.map((c) => v[c])
+    );
+    const userId = r.rows[0].user_id;
+    await replaceUserTeams(client, userId, parsed.teamIds || []);
+    const [row] = await loadUsers(client, userId);
+    await client.query('COMMIT');
+    res.status(201).json({ ok: true, row });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    sendUserError(res, e);
+  } finally {
+    client.release();
+  }
+});
+
+app.put('/api/admin/users/:id', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const id = normInt(req.params.id);
+  if (id === null)
+    return res.status(400).json({ ok: false, error: 'invalid id' });
+
+  const parsed = await parseUserBody(req.body, true);
+  if (parsed.error)
+    return res.status(400).json({ ok: false, error: parsed.error });
+
+  const v = parsed.value;
+  const cols = Object.keys(v);
+  if (!cols.length && !parsed.teamIds)
+    return res.status(400).json({ ok: false, error: 'nothing to update' });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const params = [id, ...cols.map((c) => v[c])];
+    const sets = cols.map((c, i) => `${c} = $${i + 2}`);
+    const r = await client.query(
+      `UPDATE public.tfs_users SET ${[...sets, 'updated_at = now()'].join(', ')}
+       WHERE user_id = $1 RETURNING user_id`,
+      params
+    );
+    if (!r.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ ok: false, error: 'not found' });
+    }
+    if (!(await hasActiveAdmin(client))) {
+      await client.query('ROLLBACK');
+      return res
+        .status(400)
+        .json({ ok: false, error: 'at least one active admin is required' });
+    }
+    if (parsed.teamIds) await replaceUserTeams(client, id, parsed.teamIds);
+
+    // a new password or deactivation signs the user out everywhere
+    if (v.password_hash || v.active === false) {
+      await client.query('DELETE FROM public.tfs_sessions WHERE user_id = $1', [
+        id,
+      ]);
+    }
+
+    const [row] = await loadUsers(client, id);
+    await client.query('COMMIT');
+    res.json({ ok: true, row });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    sendUserError(res, e);
+  } finally {
+    client.release();
+  }
+});
+
+app.delete('/api/admin/users/:id', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const id = normInt(req.params.id);
+  if (id === null)
+    return res.status(400).json({ ok: false, error: 'invalid id' });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // the user's saved views go with them, but not ones a report job runs
+    const jobs = await client.query(
+      `SELECT j.name
+       FROM public.tfs_report_jobs j
+       JOIN public.tfs_saved_views v ON v.view_id = j.view_id
+       WHERE v.owner_user_id = $1
+       ORDER BY lower(j.name)
+       FOR UPDATE OF v`,
+      [id]
+    );
+    if (jobs.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        ok: false,
+        error: `user owns views used by report jobs: ${jobs.rows
+          .map((x) => x.name)
+          .join(', ')}`,
+      });
+    }
+    const r = await client.query(
+      'DELETE FROM public.tfs_users WHERE user_id = $1',
+      [id]
+    );
+    if (!r.rowCount) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ ok: false, error: 'not found' });
+    }
+    if (!(await hasActiveAdmin(client))) {
+      await client.query('ROLLBACK');
+      return res
+        .status(400)
+        .json({ ok: false, error: 'at least one active admin is required' });
+    }
+    await client.query('COMMIT');
+    res.json({ ok: true });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    // a report job picked up one of the user's views meanwhile
+    if (e?.code === '23503')
+      return res.status(409).json({
+        ok: false,
+        error: 'user owns views used by report jobs',
+      });
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  } finally {
+    client.release();
+  }
+});
+
+// ---------- Ingest rejections ----------
+app.get('/api/admin/runs/:id/rejections', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const id = normInt(req.params.id);
+  if (id === null)
+    return res.status(400).json({ ok: false, error: 'invalid id' });
+
+  try {
+    const run = await pool.query(
+      `SELECT run_id AS "runId", run_at AS "runAt", source,
+         item_count AS "count", rejected_count AS "rejectedRows"
+       FROM public.tfs_hours_runs WHERE run_id = $1`,
+      [id]
+    );
+    if (!run.rows.length)
+      return res.status(404).json({ ok: false, error: 'not found' });
+    res.json({
+      ok: true,
+      run: run.rows[0],
+      rows: await loadRunRejections(pool, id),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// ---------- Agent keys ----------
+// Keys look like tfsk_<12 hex prefix>_<secret>; the prefix finds the row and
+// the full key is checked against its SHA-256 in constant time.
+const AGENT_KEY_RE = /^tfsk_([0-9a-f]{12})_[A-Za-z0-9_-]+$/;
+// How long the previous key keeps working after a rotation (hours).
+const AGENT_KEY_OVERLAP_HOURS =
+  Number(process.env.AGENT_KEY_OVERLAP_HOURS || 24) >= 0
+    ? Number(process.env.AGENT_KEY_OVERLAP_HOURS || 24)
+    : 24;
+
+function generateAgentKey() {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const key = `tfsk_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, prefix, hash: sha256Hex(key) };
+}
+
+// Issues a key for agentId; the plaintext is only ever returned here.
+async function insertAgentKey(db, agentId, expiresAt = null) {
+  const k = generateAgentKey();
+  const r = await db.query(
+    `INSERT INTO public.tfs_agent_keys(agent_id, key_prefix, key_hash, expires_at)
+     VALUES ($1, $2, $3, $4)
+     RETURNING key_id`,
+    [agentId, k.prefix, k.hash, expiresAt]
+  );
+  return { keyId: r.rows[0].key_id, key: k.key };
+}
+
+async function loadAgents(db, agentId = null) {
+  const agents = await db.query(
+    `SELECT
+       a.agent_id    AS "agentId",
+       a.name,
+       a.description,
+       a.created_at  AS "createdAt",
+       (SELECT MAX(r.run_at) FROM public.tfs_hours_runs r
+        WHERE r.agent_id = a.agent_id) AS "lastRunAt"
+     FROM public.tfs_agents a
+     WHERE $1::bigint IS NULL OR a.agent_id = $1
+     ORDER BY lower(a.name)`,
+    [agentId]
+  );
+  const keys = await db.query(
+    `SELECT
+       key_id       AS "keyId",
+       agent_id     AS "agentId",
+       key_prefix   AS "prefix",
+       created_at   AS "createdAt",
+       expires_at   AS "expiresAt",
+       revoked_at   AS "revokedAt",
+       last_used_at AS "lastUsedAt",
+       CASE
+         WHEN revoked_at IS NOT NULL THEN 'revoked'
+         WHEN expires_at IS NOT NULL AND expires_at <= now() THEN 'expired'
+         WHEN expires_at IS NOT NULL THEN 'expiring'
+         ELSE 'active'
+       END AS status
+     FROM public.tfs_agent_keys
+     WHERE $1::bigint IS NULL OR agent_id = $1
+     ORDER BY key_id DESC`,
+    [agentId]
+  );
+  const byAgent = new Map(agents.rows.map((x) => [String(x.agentId), []]));
+  for (const k of keys.rows) byAgent.get(String(k.agentId))?.push(k);
+  return agents.rows.map((x) => ({
+    ...x,
+    keys: byAgent.get(String(x.agentId)),
+  }));
+}
+
+function parseAgentBody(body, partial) {
+  const b = body || {};
+  const out = {};
+  if (!partial || b.name !== undefined) {
+    const name = typeof b.name === 'string' ? b.name.trim() : '';
+    if (!name) return { error: 'name required' };
+    out.name = name;
+  }
+  if (b.description !== undefined) {
+    out.description =
+      typeof b.description === 'string' ? b.description.trim() || null : null;
+  }
+  return { value: out };
+}
+
+function sendAgentError(res, e) {
+  if (e?.code === '23505')
+    return res
+      .status(409)
+      .json({ ok: false, error: 'agent name already exists' });
+  res.status(500).json({ ok: false, error: String(e?.message || e) });
+}
+
+app.get('/api/admin/agents', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  try {
+    res.json({ ok: true, rows: await loadAgents(pool) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// Creates an agent with its first key. The key is in the response only.
+app.post('/api/admin/agents', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const parsed = parseAgentBody(req.body, false);
+  if (parsed.error)
+    return res.status(400).json({ ok: false, error: parsed.error });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const r = await client.query(
+      `INSERT INTO public.tfs_agents(name, description)
+       VALUES ($1, $2) RETURNING agent_id`,
+      [parsed.value.name, parsed.value.description ?? null]
+    );
+    const agentId = r.rows[0].agent_id;
+    const k = await insertAgentKey(client, agentId);
+    const [row] = await loadAgents(client, agentId);
+    await client.query('COMMIT');
+    res.status(201).json({ ok: true, row, keyId: k.keyId, key: k.key });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    sendAgentError(res, e);
+  } finally {
+    client.release();
+  }
+});
+
+app.put('/api/admin/agents/:id', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const id = normInt(req.params.id);
+  if (id === null)
+    return res.status(400).json({ ok: false, error: 'invalid id' });
+
+  const parsed = parseAgentBody(req.body, true);
+  if (parsed.error)
+    return res.status(400).json({ ok: false, error: parsed.error });
+  const cols = Object.keys(parsed.value);
+  if (!cols.length)
+    return res.status(400).json({ ok: false, error: 'nothing to update' });
+
+  try {
+    const r = await pool.query(
+      `UPDATE public.tfs_agents
+       SET ${cols.map((c, i) => `${c} = $${i + 2}`).join(', ')}
+       WHERE agent_id = $1`,
+      [id, ...cols.map((c) => parsed.value[c])]
+    );
+    if (!r.rowCount)
+      return res.status(404).json({ ok: false, error: 'not found' });
+    const [row] = await loadAgents(pool, id);
+    res.json({ ok: true, row });
+  } catch (e) {
+    sendAgentError(res, e);
+  }
+});
+
+// Rotation: issues a new key and lets the agent's other live keys expire
+// after overlapHours (default AGENT_KEY_OVERLAP_HOURS; 0 = immediately).
+app.post('/api/admin/agents/:id/keys', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const id = normInt(req.params.id);
+  if (id === null)
+    return res.status(400).json({ ok: false, error: 'invalid id' });
+
+  const raw = req.body?.overlapHours;
+  const overlapHours =
+    raw === undefined || raw === null ? AGENT_KEY_OVERLAP_HOURS : Number(raw);
+  if (!Number.isFinite(overlapHours) || overlapHours < 0)
+    return res
+      .status(400)
+      .json({ ok: false, error: 'overlapHours must be a number >= 0' });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const a = await client.query(
+      'SELECT 1 FROM public.tfs_agents WHERE agent_id = $1 FOR UPDATE',
+      [id]
+    );
+    if (!a.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ ok: false, error: 'not found' });
+    }
+    await client.query(
+      `UPDATE public.tfs_agent_keys
+       SET expires_at = LEAST(
+         COALESCE(expires_at, 'infinity'),
+         now() + make_interval(secs => $2 * 3600)
+       )
+       WHERE agent_id = $1
+         AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > now())`,
+      [id, overlapHours]
+    );
+    const k = await insertAgentKey(client, id);
+    const [row] = await loadAgents(client, id);
+    await client.query('COMMIT');
+    res.status(201).json({ ok: true, row, keyId: k.keyId, key: k.key });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  } finally {
+    client.release();
+  }
+});
+
+// Revokes a key immediately. Keys are kept for run attribution.
+app.delete('/api/admin/agents/:id/keys/:keyId', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  const id = normInt(req.params.id);
+  const keyId = normInt(req.params.keyId);
+  if (id === null || keyId === null)
+    return res.status(400).json({ ok: false, error: 'invalid id' });
+
+  try {
+    const r = await pool.query(
+      `UPDATE public.tfs_agent_keys
+       SET revoked_at = COALESCE(revoked_at, now())
+       WHERE agent_id = $1 AND key_id = $2`,
+      [id, keyId]
+    );
+    if (!r.rowCount)
+      return res.status(404).json({ ok: false, error: 'not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
 
-app.listen(PORT, () => {
-  console.log(`tfs-hours-dashboard listening on :${PORT}`);
+// Creates the first admin from ADMIN_USERNAME / ADMIN_PASSWORD while there
+// are no users at all; later changes go through /api/admin/users.
+async function bootstrapAdmin() {
+  const r = await pool.query('SELECT COUNT(*)::int AS n FROM public.tfs_users');
+  if (r.rows[0].n > 0) return;
+  if (!ADMIN_USERNAME || ADMIN_PASSWORD.length < PASSWORD_MIN_LENGTH) {
+    console.warn(
+      `WARNING: no dashboard users yet; set ADMIN_USERNAME and ADMIN_PASSWORD (min ${PASSWORD_MIN_LENGTH} chars) to create the first admin.`
+    );
+    return;
+  }
+  await pool.query(
+    `INSERT INTO public.tfs_users(username, password_hash, role)
+     VALUES ($1, $2, 'admin')`,
+    [ADMIN_USERNAME, await hashPassword(ADMIN_PASSWORD)]
+  );
+  console.log(`auth: created admin user "${ADMIN_USERNAME}"`);
+}
+
+// ---------- Static UI ----------
+// The dashboard itself needs a session; login.html stays public.
+app.get(['/', '/index.html'], (req, res, next) => {
+  if (req.user) return next();
+  res.redirect('/login.html');
 });
+app.use('/', express.static(path.join(__dirname, 'public')));
+
+(async function start() {
+  try {
+    if (MIGRATE_ON_START) await runMigrations(pool);
+
+    // Never serve against a schema older than the code expects.
+    const st = await migrationStatus(pool);
+    if (st.pending.length) {
+      console.error(
+        `ERROR: database schema is behind; pending migrations: ${st.pending
+          .map((m) => m.file)
+          .join(', ')}. Run \`npm run migrate\`.`
+      );
+      process.exit(1);
+    }
+
+    await bootstrapAdmin();
+  } catch (e) {
+    console.error('STARTUP ERROR:', e?.message || e);
+    process.exit(1);
+  }
+
+  app.listen(PORT, () => {
+    console.log(`tfs-hours-dashboard listening on :${PORT}`);
+  });
+  startSyncAlerts();
+  startReportScheduler();
+})();
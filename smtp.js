@@ -0,0 +1,123 @@
+// Minimal SMTP client for report digests, no dependencies. Speaks plain
+// SMTP (no TLS, no AUTH), which is what a local relay (postfix, an Exchange
+// receive connector, MailHog in testing) accepts.
+//
+// sendMail({ host, port, from, to, subject, html, attachments }) resolves
+// once the relay accepted the message; to is a list of addresses and each
+// attachment is { filename, contentType, content } (string or Buffer).
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+
+const SMTP_TIMEOUT_MS = 30000;
+
+// Base64 wrapped at 76 characters, as MIME requires.
+function base64Lines(content) {
+  const b64 = Buffer.from(content).toString('base64');
+  return b64.replace(/.{1,76}/g, '$&\r\n');
+}
+
+// RFC 2047 encoded-word for non-ASCII header text.
+function encodeHeader(text) {
+  return /^[\x20-\x7e]*$/.test(text)
+    ? text
+    : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, html, attachments = [] }) {
+  const boundary = `----=_tfs_${crypto.randomBytes(12).toString('hex')}`;
+  const domain = String(from).split('@')[1] || os.hostname();
+  const lines = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(html),
+  ];
+  for (const a of attachments) {
+    lines.push(
+      `--${boundary}`,
+      `Content-Type: ${a.contentType}; name="${a.filename}"`,
+      'Content-Transfer-Encoding: base64',
+      `Content-Disposition: attachment; filename="${a.filename}"`,
+      '',
+      base64Lines(a.content)
+    );
+  }
+  lines.push(`--${boundary}--`, '');
+  return lines.join('\r\n');
+}
+
+// Opens a connection and returns { send(line, expect), close() }: send
+// writes a command (null = just read) and resolves with the reply once its
+// code starts with one of the expected digits, rejecting otherwise.
+function connect(host, port) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port });
+    socket.setTimeout(SMTP_TIMEOUT_MS);
+    socket.setEncoding('utf8');
+
+    let buffer = '';
+    let waiting = null;
+    const fail = (err) => {
+      if (waiting) waiting.reject(err);
+      else reject(err);
+      socket.destroy();
+    };
+    socket.on('timeout', () => fail(new Error('SMTP timeout')));
+    socket.on('error', fail);
+    socket.on('close', () => fail(new Error('SMTP connection closed')));
+    // a reply ends with a "NNN text" line (continuations are "NNN-text");
+    // it may arrive before anyone waits for it (the greeting)
+    const settle = () => {
+      const m = /(?:^|\r\n)(\d{3}) [^\r\n]*\r\n$/.exec(buffer);
+      if (!m || !waiting) return;
+      const reply = buffer.trim();
+      buffer = '';
+      const w = waiting;
+      waiting = null;
+      if (w.expect.includes(m[1][0])) w.resolve(reply);
+      else w.reject(new Error(`SMTP ${w.what}: ${reply}`));
+    };
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      settle();
+    });
+
+    const send = (line, expect, what = line?.split(' ')[0] || 'greeting') =>
+      new Promise((res, rej) => {
+        waiting = { expect, what, resolve: res, reject: rej };
+        if (line !== null) socket.write(`${line}\r\n`);
+        else settle();
+      });
+    socket.once('connect', () => resolve({ send, close: () => socket.end() }));
+  });
+}
+
+async function sendMail({ host, port, from, to, subject, html, attachments }) {
+  const conn = await connect(host, port);
+  try {
+    await conn.send(null, '2');
+    await conn.send(`EHLO ${os.hostname()}`, '2');
+    await conn.send(`MAIL FROM:<${from}>`, '2');
+    for (const rcpt of to) await conn.send(`RCPT TO:<${rcpt}>`, '2');
+    await conn.send('DATA', '3');
+    const body = buildMessage({ from, to, subject, html, attachments })
+      // dot-stuffing: a line starting with "." gets a second one
+      .replace(/(^|\r\n)\./g, '$1..');
+    await conn.send(`${body}\r\n.`, '2', 'message');
+    await conn.send('QUIT', '2');
+  } finally {
+    conn.close();
+  }
+}
+
+module.exports = { sendMail };
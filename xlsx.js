@@ -0,0 +1,367 @@
+// Minimal XLSX (Office Open XML spreadsheet) writer, no dependencies.
+//
+// buildWorkbook(sheets) returns a Buffer holding a zipped workbook. Each
+// sheet is { name, columns, rows, freeze? }:
+//   columns  [{ header, type?, width? }]; type is one of
+//            'text' (default), 'number', 'hours' (0.00), 'date', 'datetime'
+//   rows     arrays of cell values, in column order
+//   freeze   { rows, cols } kept visible while scrolling (default: header row)
+//
+// Cell values: null/undefined (empty), number, boolean, string, or
+// { text, href } for a hyperlink. In date/datetime columns a Date is written
+// using its UTC fields as the wall-clock time and a "YYYY-MM-DD" string as
+// that day; callers shift instants into the report time zone first.
+const zlib = require('zlib');
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const NS_REL =
+  'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_PKG_REL =
+  'http://schemas.openxmlformats.org/package/2006/relationships';
+const REL_HYPERLINK = `${NS_REL}/hyperlink`;
+
+// Indexes into cellXfs in STYLES_XML.
+const STYLE = { header: 1, date: 2, datetime: 3, hours: 4, link: 5 };
+
+const STYLES_XML = `${XML_HEADER}<styleSheet xmlns="${NS_MAIN}">
+<numFmts count="2">
+<numFmt numFmtId="164" formatCode="yyyy-mm-dd"/>
+<numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm"/>
+</numFmts>
+<fonts count="3">
+<font><sz val="11"/><name val="Calibri"/></font>
+<font><b/><sz val="11"/><name val="Calibri"/></font>
+<font><u/><sz val="11"/><color rgb="FF0563C1"/><name val="Calibri"/></font>
+</fonts>
+<fills count="3">
+<fill><patternFill patternType="none"/></fill>
+<fill><patternFill patternType="gray125"/></fill>
+<fill><patternFill patternType="solid"><fgColor rgb="FFDDE4EE"/><bgColor indexed="64"/></patternFill></fill>
+</fills>
+<borders count="2">
+<border><left/><right/><top/><bottom/><diagonal/></border>
+<border><left/><right/><top/><bottom style="thin"><color rgb="FF8899AA"/></bottom><diagonal/></border>
+</borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="6">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="2" borderId="1" xfId="0" applyFont="1" applyFill="1" applyBorder="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="2" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+function xmlEscape(v) {
+  return (
+    String(v)
+      // characters XML 1.0 cannot carry at all
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  );
+}
+
+// 0 -> "A", 26 -> "AA"
+function columnName(i) {
+  let s = '';
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  }
+  return s;
+}
+
+// Excel serial day number (1900 date system) for a Date's UTC fields.
+function excelSerial(d) {
+  return d.getTime() / 86400000 + 25569;
+}
+
+function dateCellValue(v) {
+  if (v instanceof Date) return excelSerial(v);
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(v));
+  if (!m) return null;
+  return excelSerial(new Date(Date.UTC(+m[1], +m[2] - 1, +m[3])));
+}
+
+function cellXml(ref, v, type) {
+  if (v === null || v === undefined || v === '') return '';
+  if (typeof v === 'object' && !(v instanceof Date) && 'href' in v) {
+    return `<c r="${ref}" s="${
+      STYLE.link
+    }" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(
+      v.text ?? v.href
+    )}</t></is></c>`;
+  }
+  if (type === 'date' || type === 'datetime') {
+    const n = dateCellValue(v);
+    if (n !== null && Number.isFinite(n))
+      return `<c r="${ref}" s="${STYLE[type]}"><v>${n}</v></c>`;
+  }
+  if (typeof v === 'boolean')
+    return `<c r="${ref}" t="b"><v>${v ? 1 : 0}</v></c>`;
+  if (typeof v === 'number' && Number.isFinite(v)) {
+    const s = type === 'hours' ? ` s="${STYLE.hours}"` : '';
+    return `<c r="${ref}"${s}><v>${v}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(
+    v
+  )}</t></is></c>`;
+}
+
+// Returns { xml, links } for one worksheet; links are the hyperlink targets
+// in relationship order (rId1..).
+function sheetXml(sheet) {
+  const cols = sheet.columns;
+  const freeze = sheet.freeze || { rows: 1, cols: 0 };
+  const links = [];
+  const linkRefs = [];
+
+  const colsXml = cols
+    .map((c, i) => {
+      const w = c.width || Math.min(60, Math.max(10, c.header.length + 2));
+      return `<col min="${i + 1}" max="${
+        i + 1
+      }" width="${w}" customWidth="1"/>`;
+    })
+    .join('');
+
+  const head = cols
+    .map(
+      (c, i) =>
+        `<c r="${columnName(i)}1" s="${
+          STYLE.header
+        }" t="inlineStr"><is><t>${xmlEscape(c.header)}</t></is></c>`
+    )
+    .join('');
+  const body = sheet.rows.map((row, ri) => {
+    const r = ri + 2;
+    const cells = cols.map((c, ci) => {
+      const ref = `${columnName(ci)}${r}`;
+      const v = row[ci];
+      if (v && typeof v === 'object' && 'href' in v && v.href) {
+        links.push(v.href);
+        linkRefs.push(ref);
+      }
+      return cellXml(ref, v, c.type);
+    });
+    return `<row r="${r}">${cells.join('')}</row>`;
+  });
+
+  let pane = '';
+  if (freeze.rows || freeze.cols) {
+    const topLeft = `${columnName(freeze.cols || 0)}${(freeze.rows || 0) + 1}`;
+    const active =
+      freeze.rows && freeze.cols
+        ? 'bottomRight'
+        : freeze.rows
+        ? 'bottomLeft'
+        : 'topRight';
+    pane = `<pane${freeze.cols ? ` xSplit="${freeze.cols}"` : ''}${
+      freeze.rows ? ` ySplit="${freeze.rows}"` : ''
+    } topLeftCell="${topLeft}" activePane="${active}" state="frozen"/><selection pane="${active}" activeCell="${topLeft}" sqref="${topLeft}"/>`;
+  }
+
+  const lastRef = `${columnName(cols.length - 1)}${sheet.rows.length + 1}`;
+  const hyperlinks = linkRefs.length
+    ? `<hyperlinks>${linkRefs
+        .map((ref, i) => `<hyperlink ref="${ref}" r:id="rId${i + 1}"/>`)
+        .join('')}</hyperlinks>`
+    : '';
+
+  const xml = `${XML_HEADER}<worksheet xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">
+<sheetViews><sheetView workbookViewId="0">${pane}</sheetView></sheetViews>
+<sheetFormatPr defaultRowHeight="15"/>
+<cols>${colsXml}</cols>
+<sheetData><row r="1">${head}</row>${body.join('')}</sheetData>
+<autoFilter ref="A1:${lastRef}"/>${hyperlinks}
+</worksheet>`;
+  return { xml, links };
+}
+
+// Sheet names: at most 31 chars, none of []:*?/\ and unique.
+function sheetNames(sheets) {
+  const used = new Set();
+  return sheets.map((s, i) => {
+    const base =
+      String(s.name || `Sheet${i + 1}`)
+        .replace(/[[\]:*?/\\]/g, ' ')
+        .slice(0, 31) || `Sheet${i + 1}`;
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n += 1) {
+      name = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+function buildWorkbook(sheets) {
+  const names = sheetNames(sheets);
+  const files = [];
+
+  files.push({
+    name: '[Content_Types].xml',
+    data: `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${names
+  .map(
+    (_, i) =>
+      `<Override PartName="/xl/worksheets/sheet${
+        i + 1
+      }.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+  )
+  .join('\n')}
+</Types>`,
+  });
+  files.push({
+    name: '_rels/.rels',
+    data: `${XML_HEADER}<Relationships xmlns="${NS_PKG_REL}">
+<Relationship Id="rId1" Type="${NS_REL}/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`,
+  });
+  files.push({
+    name: 'xl/workbook.xml',
+    data: `${XML_HEADER}<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">
+<sheets>${names
+      .map(
+        (n, i) =>
+          `<sheet name="${xmlEscape(n)}" sheetId="${i + 1}" r:id="rId${
+            i + 1
+          }"/>`
+      )
+      .join('')}</sheets>
+</workbook>`,
+  });
+  files.push({
+    name: 'xl/_rels/workbook.xml.rels',
+    data: `${XML_HEADER}<Relationships xmlns="${NS_PKG_REL}">
+${names
+  .map(
+    (_, i) =>
+      `<Relationship Id="rId${
+        i + 1
+      }" Type="${NS_REL}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+  )
+  .join('\n')}
+<Relationship Id="rId${
+      names.length + 1
+    }" Type="${NS_REL}/styles" Target="styles.xml"/>
+</Relationships>`,
+  });
+  files.push({ name: 'xl/styles.xml', data: STYLES_XML });
+
+  sheets.forEach((s, i) => {
+    const { xml, links } = sheetXml(s);
+    files.push({ name: `xl/worksheets/sheet${i + 1}.xml`, data: xml });
+    if (links.length) {
+      files.push({
+        name: `xl/worksheets/_rels/sheet${i + 1}.xml.rels`,
+        data: `${XML_HEADER}<Relationships xmlns="${NS_PKG_REL}">
+${links
+  .map(
+    (href, j) =>
+      `<Relationship Id="rId${
+        j + 1
+      }" Type="${REL_HYPERLINK}" Target="${xmlEscape(
+        href
+      )}" TargetMode="External"/>`
+  )
+  .join('\n')}
+</Relationships>`,
+      });
+    }
+  });
+
+  return zip(files);
+}
+
+// ---------- ZIP container (deflate, no zip64) ----------
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i += 1)
+    c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(d) {
+  const time =
+    (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1);
+  const date =
+    ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+  return { time, date };
+}
+
+function zip(files) {
+  const { time, date } = dosDateTime(new Date());
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const f of files) {
+    const name = Buffer.from(f.name, 'utf8');
+    const raw = Buffer.from(f.data, 'utf8');
+    const data = zlib.deflateRawSync(raw);
+    const crc = crc32(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+    locals.push(local, name, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + data.length;
+  }
+
+  const centralSize = centrals.reduce((n, b) => n + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+module.exports = { buildWorkbook };